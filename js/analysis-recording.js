@@ -0,0 +1,441 @@
+/**
+ * Analysis Recording Module
+ * Capture the per-frame output of AudioAnalyzer.analyze() and replay it
+ * later as a 'replay' source — no audio involved.
+ *
+ * File layout (little endian):
+ *   'AXR1' | uint32 header length | header JSON (padded to 4 bytes)
+ *   Float32 frame records  (frameCount x stride: time, event flags, scalars, enums, bands, chroma)
+ *   Uint8 spectrum / waveform snapshots (frameCount x (spectrumBins + waveformSize))
+ *
+ * The spectrum is stored at the analyser's own bin count (in the header);
+ * coarser recordings are sampled up to MIN_REPLAY_BINS on replay.
+ */
+
+import { PITCH_CLASSES } from './key-estimator.js';
+
+const MAGIC = 'AXR1';
+const FORMAT_VERSION = 1;
+
+// Waveform points per frame (the spectrum keeps the analyser's bin count)
+const WAVEFORM_SIZE = 256;
+
+// Replayed spectra get at least the live analyser's default bin count (fftSize 2048)
+const MIN_REPLAY_BINS = 1024;
+
+// Numeric analysis fields, as paths into the analysis object
+const SCALAR_FIELDS = [
+    'amplitude', 'bass', 'mid', 'treble', 'peak',
+    'bpm', 'beatPhase', 'beatIndex', 'barIndex', 'beatsPerBar', 'beatConfidence',
+    'centroid', 'flux', 'rolloff', 'flatness', 'zcr',
+    'kick', 'snare', 'hat', 'pitchClass',
+    'key.tonic', 'key.confidence',
+    'normalized.amplitude', 'normalized.bass', 'normalized.mid', 'normalized.treble',
+    'stereo.left.amplitude', 'stereo.left.bass', 'stereo.left.mid', 'stereo.left.treble',
+    'stereo.right.amplitude', 'stereo.right.bass', 'stereo.right.mid', 'stereo.right.treble',
+    'stereo.balance', 'stereo.width', 'stereo.correlation',
+    'track.timeToNext', 'track.energy', 'track.energyAhead'
+];
+
+// Non-numeric fields, stored as an index into their value list
+const SECTIONS = ['', 'intro', 'build', 'drop', 'breakdown'];
+const ENUM_FIELDS = {
+    'key.mode': ['major', 'minor'],
+    'track.available': [false, true],
+    'track.section': SECTIONS,
+    'track.nextSection': SECTIONS
+};
+
+// Event flags per frame
+const EVENT_FLAGS = { onBeat: 1, onBar: 2, onKick: 4, onSnare: 8, onHat: 16 };
+
+const split = (paths) => paths.map(path => path.split('.'));
+
+function readPath(object, keys) {
+    let value = object;
+    for (let i = 0; i < keys.length && value != null; i++) value = value[keys[i]];
+    return value;
+}
+
+function writePath(object, keys, value) {
+    let target = object;
+    for (let i = 0; i < keys.length - 1; i++) target = target[keys[i]] ||= {};
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Average `source` down (or sample it up) into `target`
+ */
+function resample(source, target, map) {
+    const n = source.length;
+    for (let k = 0; k < target.length; k++) {
+        if (!n) { target[k] = map(0); continue; }
+        const start = Math.floor(k * n / target.length);
+        const end = Math.max(start + 1, Math.floor((k + 1) * n / target.length));
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += source[i];
+        target[k] = map(sum / (end - start));
+    }
+}
+
+const toByte = (v) => Math.round(Math.max(0, Math.min(1, v)) * 255);
+
+// =====================================================
+// RECORDER
+// =====================================================
+
+export class AnalysisRecorder {
+    /**
+     * `source` is the analysis provider whose events are captured with the frames
+     */
+    constructor(source) {
+        this.source = source;
+        this.isRecording = false;
+        this.frames = [];
+        this.snapshots = [];
+        this.bandNames = [];
+        this.spectrumBins = 0;
+        this.startTime = 0;
+        this.pendingFlags = 0;
+        this.waveformScratch = new Uint8Array(WAVEFORM_SIZE);
+
+        this.scalarKeys = split(SCALAR_FIELDS);
+        this.enumKeys = split(Object.keys(ENUM_FIELDS));
+        this.enumValues = Object.values(ENUM_FIELDS);
+
+        // One listener per event type, kept so stop() can unsubscribe
+        this.eventHandlers = Object.entries(EVENT_FLAGS).map(([event, flag]) => [event, () => { this.pendingFlags |= flag; }]);
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1][0] : 0;
+    }
+
+    start() {
+        this.frames = [];
+        this.snapshots = [];
+        this.bandNames = null;
+        this.spectrumBins = 0;
+        this.pendingFlags = 0;
+        this.startTime = performance.now() / 1000;
+        this.eventHandlers.forEach(([event, handler]) => this.source.on(event, handler));
+        this.isRecording = true;
+        console.log('[AnalysisRecorder] Recording started');
+    }
+
+    /**
+     * Store one analysis frame (call right after analyze())
+     */
+    capture(analysis) {
+        if (!this.isRecording) return;
+
+        // The band layout and spectrum size are fixed by the first frame
+        if (!this.bandNames) this.bandNames = Object.keys(analysis.bands);
+        if (!this.spectrumBins) this.spectrumBins = analysis.frequencies.length;
+        const bins = this.spectrumBins;
+        const bands = this.bandNames;
+
+        const stride = 2 + this.scalarKeys.length + this.enumKeys.length + bands.length * 2 + 12;
+        const record = new Float32Array(stride);
+        let o = 0;
+        record[o++] = performance.now() / 1000 - this.startTime;
+        record[o++] = this.pendingFlags;
+        this.pendingFlags = 0;
+
+        for (let i = 0; i < this.scalarKeys.length; i++) record[o++] = readPath(analysis, this.scalarKeys[i]) ?? 0;
+        for (let i = 0; i < this.enumKeys.length; i++) {
+            record[o++] = Math.max(0, this.enumValues[i].indexOf(readPath(analysis, this.enumKeys[i])));
+        }
+        for (let i = 0; i < bands.length; i++) record[o++] = analysis.bands[bands[i]] || 0;
+        for (let i = 0; i < bands.length; i++) record[o++] = analysis.normalized?.bands[bands[i]] || 0;
+        for (let i = 0; i < 12; i++) record[o++] = analysis.chroma ? analysis.chroma[i] : 0;
+        this.frames.push(record);
+
+        const snapshot = new Uint8Array(bins + WAVEFORM_SIZE);
+        resample(analysis.frequencies, snapshot.subarray(0, bins), toByte);
+        resample(analysis.waveform, this.waveformScratch, v => toByte((v + 1) / 2));
+        snapshot.set(this.waveformScratch, bins);
+        this.snapshots.push(snapshot);
+    }
+
+    /**
+     * Stop and return the recording as a Blob
+     */
+    stop() {
+        this.isRecording = false;
+        this.eventHandlers.forEach(([event, handler]) => this.source.off(event, handler));
+
+        const header = {
+            version: FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            frameCount: this.frames.length,
+            duration: this.duration,
+            scalars: SCALAR_FIELDS,
+            enums: ENUM_FIELDS,
+            events: EVENT_FLAGS,
+            bands: this.bandNames || [],
+            spectrumBins: this.spectrumBins,
+            waveformSize: WAVEFORM_SIZE
+        };
+        const json = new TextEncoder().encode(JSON.stringify(header));
+        const padded = Math.ceil(json.length / 4) * 4;
+
+        const prefix = new Uint8Array(8 + padded).fill(0x20, 8);
+        prefix.set(new TextEncoder().encode(MAGIC), 0);
+        new DataView(prefix.buffer).setUint32(4, padded, true);
+        prefix.set(json, 8);
+
+        console.log(`[AnalysisRecorder] Recorded ${this.frames.length} frames (${this.duration.toFixed(1)} s)`);
+        return new Blob([prefix, ...this.frames, ...this.snapshots], { type: 'application/octet-stream' });
+    }
+}
+
+// =====================================================
+// REPLAY
+// =====================================================
+
+export class AnalysisReplay {
+    constructor() {
+        this.sourceType = null;   // 'replay' once loaded
+        this.header = null;
+        this.records = null;
+        this.snapshots = null;
+        this.stride = 0;
+        this.spectrumScratch = null;   // one frame's stored spectrum, for upsampling
+        this.loop = true;
+
+        this.playing = false;
+        this.position = 0;        // seconds into the recording
+        this.lastClock = 0;
+        this.frameIndex = -1;
+
+        this.analysis = null;
+        this.listeners = {};
+        this.events = {
+            beat: { bpm: 0, beatIndex: 0, barIndex: 0, beatInBar: 0, confidence: 0 },
+            bar: { bpm: 0, barIndex: 0, confidence: 0 },
+            kick: { strength: 0 },
+            snare: { strength: 0 },
+            hat: { strength: 0 }
+        };
+    }
+
+    /**
+     * Parse a recording (ArrayBuffer). Throws if the data isn't one.
+     */
+    load(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length < 8 || new TextDecoder().decode(bytes.subarray(0, 4)) !== MAGIC) {
+            throw new Error('Not an Auralux analysis recording');
+        }
+        const headerLength = new DataView(buffer).getUint32(4, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+        if (header.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported recording version ${header.version}`);
+        }
+
+        this.header = header;
+        this.scalarKeys = split(header.scalars);
+        this.enumKeys = split(Object.keys(header.enums));
+        this.enumValues = Object.values(header.enums);
+        this.stride = 2 + header.scalars.length + this.enumKeys.length + header.bands.length * 2 + 12;
+
+        const recordsStart = 8 + headerLength;
+        const recordsLength = header.frameCount * this.stride;
+        this.records = new Float32Array(buffer, recordsStart, recordsLength);
+        this.snapshots = new Uint8Array(buffer, recordsStart + recordsLength * 4,
+            header.frameCount * (header.spectrumBins + header.waveformSize));
+
+        this.spectrumScratch = new Float32Array(header.spectrumBins);
+        this.analysis = this.createAnalysis();
+        this.sourceType = 'replay';
+        this.seek(0);
+        console.log(`[AnalysisReplay] Loaded ${header.frameCount} frames (${header.duration.toFixed(1)} s)`);
+        return this;
+    }
+
+    /**
+     * Analysis object with the shape AudioAnalyzer produces
+     */
+    createAnalysis() {
+        const { bands, spectrumBins, waveformSize } = this.header;
+        const analysis = {
+            bands: {},
+            normalized: { bands: {} },
+            stereo: { left: { bands: {} }, right: { bands: {} } },
+            key: { tonic: -1, mode: 'major', name: '', confidence: 0 },
+            track: {},
+            chroma: new Float32Array(12),
+            frequencies: new Float32Array(Math.max(spectrumBins, MIN_REPLAY_BINS)),
+            waveform: new Float32Array(waveformSize)
+        };
+        bands.forEach(name => {
+            analysis.bands[name] = 0;
+            analysis.normalized.bands[name] = 0;
+        });
+        return analysis;
+    }
+
+    play() {
+        if (!this.records) return;
+        this.playing = true;
+        this.lastClock = performance.now() / 1000;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    togglePlayPause() {
+        if (this.playing) this.pause();
+        else this.play();
+        return this.playing;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Seek to position (0-1)
+     */
+    seek(position) {
+        this.position = Math.max(0, Math.min(1, position)) * this.getDuration();
+        this.frameIndex = this.findFrame(this.position) - 1;
+    }
+
+    getCurrentTime() {
+        return this.position;
+    }
+
+    getDuration() {
+        return this.header ? this.header.duration : 0;
+    }
+
+    /**
+     * Advance the replay clock and return the frame for the current position
+     */
+    analyze() {
+        if (!this.records) return this.analysis;
+
+        const now = performance.now() / 1000;
+        if (this.playing) this.position += Math.min(0.1, now - this.lastClock);
+        this.lastClock = now;
+
+        if (this.position > this.getDuration()) {
+            if (this.loop) {
+                this.position = 0;
+                this.frameIndex = -1;
+            } else {
+                this.position = this.getDuration();
+                this.playing = false;
+            }
+        }
+
+        // Apply every frame passed since the last call so no event is skipped
+        const target = this.findFrame(this.position);
+        let flags = 0;
+        for (let i = this.frameIndex + 1; i <= target; i++) flags |= this.records[i * this.stride + 1];
+        if (target !== this.frameIndex && target >= 0) this.applyFrame(target);
+        this.frameIndex = target;
+
+        if (flags) this.emitFlags(flags);
+        return this.analysis;
+    }
+
+    /**
+     * Index of the last frame at or before `time` (binary search)
+     */
+    findFrame(time) {
+        let lo = 0, hi = this.header.frameCount - 1, found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.records[mid * this.stride] <= time) { found = mid; lo = mid + 1; }
+            else hi = mid - 1;
+        }
+        return found;
+    }
+
+    applyFrame(index) {
+        const a = this.analysis;
+        const r = this.records;
+        const { bands, spectrumBins, waveformSize } = this.header;
+        let o = index * this.stride + 2;
+
+        for (let i = 0; i < this.scalarKeys.length; i++) writePath(a, this.scalarKeys[i], r[o++]);
+        for (let i = 0; i < this.enumKeys.length; i++) writePath(a, this.enumKeys[i], this.enumValues[i][r[o++]]);
+        for (let i = 0; i < bands.length; i++) a.bands[bands[i]] = r[o++];
+        for (let i = 0; i < bands.length; i++) a.normalized.bands[bands[i]] = r[o++];
+        for (let i = 0; i < 12; i++) a.chroma[i] = r[o++];
+        a.key.name = a.key.tonic >= 0 ? `${PITCH_CLASSES[a.key.tonic]} ${a.key.mode}` : '';
+
+        const s = index * (spectrumBins + waveformSize);
+        if (a.frequencies.length === spectrumBins) {
+            for (let i = 0; i < spectrumBins; i++) a.frequencies[i] = this.snapshots[s + i] / 255;
+        } else {
+            const stored = this.spectrumScratch;
+            for (let i = 0; i < spectrumBins; i++) stored[i] = this.snapshots[s + i];
+            resample(stored, a.frequencies, v => v / 255);
+        }
+        for (let i = 0; i < waveformSize; i++) a.waveform[i] = this.snapshots[s + spectrumBins + i] / 127.5 - 1;
+    }
+
+    /**
+     * Rebuild event payloads from the current frame
+     */
+    emitFlags(flags) {
+        const a = this.analysis;
+        const { beat, bar, kick, snare, hat } = this.events;
+        // Recordings from before beatsPerBar was stored assume 4/4
+        const beatsPerBar = a.beatsPerBar || 4;
+
+        if (flags & EVENT_FLAGS.onBeat) {
+            beat.bpm = a.bpm;
+            beat.beatIndex = a.beatIndex;
+            beat.barIndex = a.barIndex;
+            beat.beatInBar = ((a.beatIndex % beatsPerBar) + beatsPerBar) % beatsPerBar;
+            beat.confidence = a.beatConfidence;
+            this.emit('onBeat', beat);
+        }
+        if (flags & EVENT_FLAGS.onBar) {
+            bar.bpm = a.bpm;
+            bar.barIndex = a.barIndex;
+            bar.confidence = a.beatConfidence;
+            this.emit('onBar', bar);
+        }
+        if (flags & EVENT_FLAGS.onKick) { kick.strength = a.kick; this.emit('onKick', kick); }
+        if (flags & EVENT_FLAGS.onSnare) { snare.strength = a.snare; this.emit('onSnare', snare); }
+        if (flags & EVENT_FLAGS.onHat) { hat.strength = a.hat; this.emit('onHat', hat); }
+    }
+
+    on(event, callback) {
+        (this.listeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(cb => cb !== callback);
+        return this;
+    }
+
+    emit(event, payload) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+        for (let i = 0; i < listeners.length; i++) listeners[i](payload);
+    }
+
+    /**
+     * Drop the loaded recording
+     */
+    unload() {
+        this.playing = false;
+        this.records = null;
+        this.snapshots = null;
+        this.header = null;
+        this.sourceType = null;
+    }
+}
@@ -3,42 +3,245 @@
  * Handles Web Audio API integration and real-time audio analysis
  */
 
+import { BeatTracker } from './beat-tracker.js';
+import { BandOnsetDetector } from './onset-detector.js';
+import { TrackAnalyzer } from './track-analyzer.js';
+import { LevelNormalizer } from './level-normalizer.js';
+import { KeyEstimator } from './key-estimator.js';
+import { SignalGenerator } from './signal-generator.js';
+import { readMetadata } from './metadata-reader.js';
+
+// Default band layout in Hz (edges are clamped to Nyquist at runtime)
+export const DEFAULT_BANDS = [
+    { name: 'sub', low: 20, high: 60 },
+    { name: 'bass', low: 60, high: 250 },
+    { name: 'lowMid', low: 250, high: 500 },
+    { name: 'mid', low: 500, high: 2000 },
+    { name: 'presence', low: 2000, high: 6000 },
+    { name: 'air', low: 6000, high: 20000 }
+];
+
+// Drum detector bands: kick body, snare body/crack, hi-hat sizzle
+const DRUM_BANDS = [
+    { name: 'low', low: 40, high: 150 },
+    { name: 'mid', low: 150, high: 2500 },
+    { name: 'high', low: 6000, high: 16000 }
+];
+
+// localStorage key for the remembered microphone
+const MIC_DEVICE_KEY = 'auralux.micDeviceId';
+
+// Features that get an adaptive normalizer (besides every configurable band)
+const NORMALIZED_FEATURES = ['amplitude', 'bass', 'mid', 'treble'];
+
+// Chroma range (C2 to C7). Bins wider than a semitone are left out, so
+// larger FFT sizes reach further down.
+const CHROMA_MIN_HZ = 65.41;
+const CHROMA_MAX_HZ = 2093;
+const SEMITONE_RATIO = Math.pow(2, 1 / 12) - 1;
+
+// Track look-ahead window for `analysis.track.energyAhead` (seconds)
+const LOOKAHEAD_SECONDS = 4;
+
+// Noise gate: close this many dB below the threshold, stay open at least this long
+const GATE_HYSTERESIS = 6;
+const GATE_HOLD = 0.15;
+
+// Envelope decay per second for kick / snare / hat
+const DRUM_DECAY = { kick: 6, snare: 5, hat: 10 };
+
+// Classic three-way split behind analysis.bass / mid / treble
+const CORE_BANDS = [
+    { name: 'bass', low: 20, high: 250 },
+    { name: 'mid', low: 250, high: 4000 },
+    { name: 'treble', low: 4000, high: 20000 }
+];
+
+/**
+ * Build `count` log-spaced bands between minHz and maxHz
+ */
+export function createLogBands(count, minHz = 20, maxHz = 20000) {
+    const bands = [];
+    const ratio = maxHz / minHz;
+    for (let i = 0; i < count; i++) {
+        bands.push({
+            name: `band${i}`,
+            low: minHz * Math.pow(ratio, i / count),
+            high: minHz * Math.pow(ratio, (i + 1) / count)
+        });
+    }
+    return bands;
+}
+
 export class AudioAnalyzer {
-    constructor() {
+    constructor(options = {}) {
         this.audioContext = null;
         this.analyser = null;
         this.source = null;
-        this.dataArray = null;
-        this.frequencyData = null;
-        this.fftSize = 2048;
-        this.smoothingTimeConstant = 0.8;
+        this.frequencyData = null;   // dB per bin
+        this.powerSpectrum = null;   // linear power per bin
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0.8;
         
-        // Audio element for file playback
+        // Audio element for file playback (the active deck's element)
         this.audioElement = null;
         
-        // Stream for microphone
+        // Two persistent decks for crossfading / gapless playback. Each media
+        // element keeps its MediaElementSource for the life of the context.
+        this.decks = null;
+        this.activeDeck = 0;
+        this.crossfadeDuration = 0; // seconds
+        this.fileRequest = 0;       // latest connectAudioFile() call; older ones drop their result
+        this.fileLoading = false;   // a connectAudioFile() call owns the idle deck
+        
+        // Listening controls — the decks reach the speakers through outputGain,
+        // so volume and mute never change what the analyser sees
+        this.outputGain = null;
+        this.volume = 1;
+        this.muted = false;
+        this.playbackRate = 1;
+        this.loopStart = null;      // A-B loop points (seconds), null = unset
+        this.loopEnd = null;
+        
+        // Every source feeds this bus; the bus feeds the analyser and,
+        // through a splitter, one analyser per channel
+        this.inputBus = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = [];
+        this.channelFrequencyData = [];
+        this.channelSpectra = [];
+        this.channelWaveforms = [];
+        
+        // Stream for microphone, and its input chain:
+        // source -> micGain -> gateGain -> inputBus (micGain also feeds gateAnalyser)
         this.microphoneStream = null;
+        this.micDeviceId = AudioAnalyzer.loadMicDevice();
+        this.micGain = null;
+        this.gateAnalyser = null;
+        this.gateGain = null;
+        this.gateBuffer = null;
+        this.inputGain = 1;
+        this.gateThreshold = -90;   // dBFS, -90 = gate off
+        this.gateOpen = true;
+        this.gateOpenedAt = 0;
+        
+        // Stream for tab / system audio capture
+        this.displayStream = null;
+        
+        // Test signal generator: output -> inputBus, optionally -> monitor -> speakers
+        this.generator = null;
+        this.generatorMonitor = null;
+        this.monitorGenerator = false;
         
-        // Analysis results
+        // Analysis results — written in place every frame, typed arrays are
+        // reallocated only when the FFT size changes
         this.analysis = {
             amplitude: 0,
             bass: 0,
             mid: 0,
             treble: 0,
             peak: 0,
-            frequencies: [],
-            waveform: []
+            bpm: 0,
+            beatPhase: 0,
+            beatIndex: -1,
+            barIndex: -1,
+            beatsPerBar: 4,
+            beatConfidence: 0,
+            centroid: 0,    // Hz
+            flux: 0,
+            rolloff: 0,     // Hz below which 85% of the spectral energy lies
+            flatness: 0,    // 0 = tonal, 1 = noise-like
+            zcr: 0,         // zero crossings per sample
+            kick: 0,        // decaying hit envelopes (0-1)
+            snare: 0,
+            hat: 0,
+            bands: {},
+            track: {            // whole-track look-ahead (files only, once pre-analysis is done)
+                available: false,
+                section: '',        // 'intro' | 'build' | 'drop' | 'breakdown'
+                nextSection: '',
+                timeToNext: Infinity,   // seconds until the next section starts
+                energy: 0,              // 0-1 relative to the loudest part of the track
+                energyAhead: 0          // peak energy over the look-ahead window
+            },
+            normalized: {       // adaptive-gain copies of the levels (raw values stay above)
+                amplitude: 0,
+                bass: 0,
+                mid: 0,
+                treble: 0,
+                bands: {}
+            },
+            stereo: {
+                left: { amplitude: 0, bass: 0, mid: 0, treble: 0, bands: {} },
+                right: { amplitude: 0, bass: 0, mid: 0, treble: 0, bands: {} },
+                balance: 0,       // -1 = left only, 1 = right only
+                width: 0,         // 0 = mono, 1 = fully decorrelated (or wider)
+                correlation: 1    // -1..1 between the channels
+            },
+            chroma: new Float32Array(12),      // pitch-class energy C..B, max = 1
+            pitchClass: -1,                    // dominant pitch class 0-11, -1 = none
+            key: { tonic: -1, mode: 'major', name: '', confidence: 0 },
+            frequencies: new Float32Array(0),  // 0-1 across the analyser dB range
+            waveform: new Float32Array(0)      // -1..1
         };
         
-        // Peak detection
-        this.peakHistory = [];
-        this.peakThreshold = 0.7;
-        this.lastPeakTime = 0;
-        this.isPeak = false;
+        // Band model (Hz) and the FFT bin ranges derived from it
+        this.bandConfig = DEFAULT_BANDS;
+        this.bandRanges = [];
+        this.coreRanges = [];
+        if (options.bands) this.setBands(options.bands);
+        
+        // Tempo tracking (spectral flux -> BeatTracker)
+        this.beatTracker = new BeatTracker(options.beat);
+        this.previousSpectrum = null;
+        this.rolloffPercent = 0.85;
+        
+        // Per-band onset detectors for kick / snare / hat
+        this.drumRanges = [];
+        this.drumDetectors = {
+            low: new BandOnsetDetector({ sensitivity: 1.4, refractory: 0.12 }),
+            mid: new BandOnsetDetector({ sensitivity: 1.6, refractory: 0.1 }),
+            high: new BandOnsetDetector({ sensitivity: 1.5, refractory: 0.05 })
+        };
+        this.lastAnalyzeTime = 0;
+        this.frameTime = 0;
+        this.frameDelta = 0;
+        
+        // Pitch class per FFT bin (-1 = not used) and the key estimate
+        this.chromaMap = null;
+        this.keyEstimator = new KeyEstimator();
+        
+        // Adaptive normalization of the level features
+        this.normalization = {
+            enabled: false,
+            targetMin: 0,
+            targetMax: 1,
+            speed: 0.2,     // 1/s — how fast the tracked range follows the signal
+            ...options.normalize
+        };
+        this.normalizers = {};
+        NORMALIZED_FEATURES.forEach(name => { this.normalizers[name] = new LevelNormalizer(); });
+        this.bandNormalizers = {};
+        this.setNormalization(this.normalization);
+        
+        // Offline whole-track analysis of the playing file
+        this.trackAnalyzer = new TrackAnalyzer();
+        this.trackAnalysis = null;
+        this.trackFile = null;
+        
+        // Event listeners and reusable payloads (no allocation per event)
+        this.listeners = {};
+        this.events = {
+            beat: { bpm: 0, beatIndex: 0, barIndex: 0, beatInBar: 0, confidence: 0 },
+            bar: { bpm: 0, barIndex: 0, confidence: 0 },
+            kick: { strength: 0 },
+            snare: { strength: 0 },
+            hat: { strength: 0 }
+        };
         
         // State
         this.isInitialized = false;
-        this.sourceType = null; // 'microphone' | 'file'
+        this.sourceType = null; // 'microphone' | 'file' | 'display' | 'generator'
     }
 
     /**
@@ -53,9 +256,33 @@ export class AudioAnalyzer {
             this.analyser.fftSize = this.fftSize;
             this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
             
-            const bufferLength = this.analyser.frequencyBinCount;
-            this.dataArray = new Uint8Array(bufferLength);
-            this.frequencyData = new Uint8Array(bufferLength);
+            // Stereo bus — mono sources (microphone) are upmixed to both sides
+            this.inputBus = this.audioContext.createGain();
+            this.inputBus.channelCount = 2;
+            this.inputBus.channelCountMode = 'explicit';
+            this.inputBus.channelInterpretation = 'speakers';
+            this.inputBus.connect(this.analyser);
+            
+            this.channelSplitter = this.audioContext.createChannelSplitter(2);
+            this.inputBus.connect(this.channelSplitter);
+            this.channelAnalysers = [0, 1].map(channel => {
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = this.fftSize;
+                analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+                this.channelSplitter.connect(analyser, channel);
+                return analyser;
+            });
+            this.allocateBuffers();
+            
+            this.micGain = this.audioContext.createGain();
+            this.micGain.gain.value = this.inputGain;
+            this.gateGain = this.audioContext.createGain();
+            this.gateAnalyser = this.audioContext.createAnalyser();
+            this.gateAnalyser.fftSize = 1024;
+            this.gateBuffer = new Float32Array(this.gateAnalyser.fftSize);
+            this.micGain.connect(this.gateGain);
+            this.micGain.connect(this.gateAnalyser);
+            this.gateGain.connect(this.inputBus);
             
             this.isInitialized = true;
             console.log('[AudioAnalyzer] Initialized successfully');
@@ -66,27 +293,86 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Connect microphone as audio source
+     * (Re)allocate the per-bin buffers for the current FFT size
+     */
+    allocateBuffers() {
+        const bins = this.analyser.frequencyBinCount;
+        this.frequencyData = new Float32Array(bins);
+        this.powerSpectrum = new Float32Array(bins);
+        this.previousSpectrum = new Float32Array(bins);
+        this.analysis.frequencies = new Float32Array(bins);
+        this.analysis.waveform = new Float32Array(this.analyser.fftSize);
+        this.channelFrequencyData = this.channelAnalysers.map(() => new Float32Array(bins));
+        this.channelSpectra = this.channelAnalysers.map(() => new Float32Array(bins));
+        this.channelWaveforms = this.channelAnalysers.map(() => new Float32Array(this.analyser.fftSize));
+        this.updateBandRanges();
+    }
+
+    /**
+     * Change the FFT size at runtime (power of two, 32-32768).
+     * The source stays connected; analysis.frequencies/waveform are replaced.
+     */
+    setFFTSize(size) {
+        if (!Number.isInteger(Math.log2(size)) || size < 32 || size > 32768) {
+            throw new RangeError(`Invalid FFT size: ${size}`);
+        }
+        this.fftSize = size;
+        if (this.analyser) {
+            this.analyser.fftSize = size;
+            this.channelAnalysers.forEach(analyser => { analyser.fftSize = size; });
+            this.allocateBuffers();
+        }
+    }
+
+    /**
+     * Change the analyser smoothing (0-1) at runtime
+     */
+    setSmoothing(value) {
+        this.smoothingTimeConstant = Math.max(0, Math.min(1, value));
+        if (this.analyser) this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+        this.channelAnalysers.forEach(analyser => { analyser.smoothingTimeConstant = this.smoothingTimeConstant; });
+    }
+
+    /**
+     * Connect microphone as audio source (remembered device unless one is given)
      */
-    async connectMicrophone() {
+    async connectMicrophone(deviceId = this.micDeviceId) {
         await this.init();
         this.disconnect();
         
+        const constraints = (id) => ({
+            audio: {
+                deviceId: id ? { exact: id } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        
         try {
-            this.microphoneStream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false
-                }
-            });
+            try {
+                this.microphoneStream = await navigator.mediaDevices.getUserMedia(constraints(deviceId));
+            } catch (error) {
+                // Remembered device was unplugged — fall back to the default
+                if (!deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) throw error;
+                this.microphoneStream = await navigator.mediaDevices.getUserMedia(constraints(null));
+            }
             
             this.source = this.audioContext.createMediaStreamSource(this.microphoneStream);
-            this.source.connect(this.analyser);
+            this.source.connect(this.micGain);
             // Don't connect to destination to avoid feedback
             
+            const [track] = this.microphoneStream.getAudioTracks();
+            track?.addEventListener('ended', () => {
+                if (this.sourceType !== 'microphone') return;
+                this.disconnect();
+                this.emit('onSourceEnded', { sourceType: 'microphone' });
+            }, { once: true });
+            
+            this.gateOpen = true;
+            this.gateGain.gain.value = 1;
             this.sourceType = 'microphone';
-            console.log('[AudioAnalyzer] Microphone connected');
+            console.log('[AudioAnalyzer] Microphone connected:', track?.label || 'default');
             
             return true;
         } catch (error) {
@@ -96,45 +382,354 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Connect audio file as source
+     * Available audio inputs as { deviceId, label }
+     */
+    async listInputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        // Labels stay empty until microphone permission has been granted
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${i + 1}` }));
+    }
+
+    /**
+     * Remember the microphone to use ('' = system default)
      */
-    async connectAudioFile(file) {
+    setMicrophoneDevice(deviceId) {
+        this.micDeviceId = deviceId || null;
+        try {
+            if (this.micDeviceId) localStorage.setItem(MIC_DEVICE_KEY, this.micDeviceId);
+            else localStorage.removeItem(MIC_DEVICE_KEY);
+        } catch (error) {
+            // Storage unavailable (private mode) — keep it for this session only
+        }
+    }
+
+    static loadMicDevice() {
+        try {
+            return localStorage.getItem(MIC_DEVICE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Microphone input gain (linear)
+     */
+    setInputGain(value) {
+        this.inputGain = Math.max(0, value);
+        if (this.micGain) this.micGain.gain.setTargetAtTime(this.inputGain, this.audioContext.currentTime, 0.02);
+    }
+
+    /**
+     * Noise gate threshold in dBFS (-90 disables the gate)
+     */
+    setNoiseGateThreshold(db) {
+        this.gateThreshold = db;
+    }
+
+    /**
+     * Open/close the gate from the post-gain input level
+     */
+    updateNoiseGate() {
+        const now = this.audioContext.currentTime;
+        
+        if (this.gateThreshold <= -90) {
+            if (!this.gateOpen) {
+                this.gateOpen = true;
+                this.gateGain.gain.setTargetAtTime(1, now, 0.005);
+            }
+            return;
+        }
+        
+        this.gateAnalyser.getFloatTimeDomainData(this.gateBuffer);
+        let sum = 0;
+        for (let i = 0; i < this.gateBuffer.length; i++) {
+            sum += this.gateBuffer[i] * this.gateBuffer[i];
+        }
+        const level = 10 * Math.log10(sum / this.gateBuffer.length + 1e-12);
+        
+        if (!this.gateOpen && level > this.gateThreshold) {
+            this.gateOpen = true;
+            this.gateOpenedAt = now;
+            this.gateGain.gain.setTargetAtTime(1, now, 0.005);
+        } else if (this.gateOpen && level < this.gateThreshold - GATE_HYSTERESIS && now - this.gateOpenedAt > GATE_HOLD) {
+            this.gateOpen = false;
+            this.gateGain.gain.setTargetAtTime(0, now, 0.05);
+        }
+    }
+
+    /**
+     * Connect the built-in test signal generator
+     * (type: 'tone' | 'sweep' | 'white' | 'pink' | 'click' | 'drums')
+     */
+    async connectGenerator(type, options = {}) {
+        await this.init();
+        if (this.sourceType !== 'generator') this.disconnect();
+        
+        if (!this.generator) {
+            this.generator = new SignalGenerator(this.audioContext);
+            this.generator.output.connect(this.inputBus);
+            this.generatorMonitor = this.audioContext.createGain();
+            this.generatorMonitor.gain.value = this.monitorGenerator ? 1 : 0;
+            this.generator.output.connect(this.generatorMonitor);
+            this.generatorMonitor.connect(this.audioContext.destination);
+        }
+        
+        await this.resume();
+        this.generator.start(type, options);
+        this.sourceType = 'generator';
+        console.log('[AudioAnalyzer] Generator connected:', type);
+    }
+
+    /**
+     * Change generator settings (frequency, sweepSeconds, bpm, level) while it runs
+     */
+    setGeneratorOptions(options) {
+        if (this.generator) this.generator.setOptions(options);
+    }
+
+    /**
+     * Route the generator to the speakers (it always feeds the analyser)
+     */
+    setGeneratorMonitor(enabled) {
+        this.monitorGenerator = enabled;
+        if (this.generatorMonitor) {
+            this.generatorMonitor.gain.setTargetAtTime(enabled ? 1 : 0, this.audioContext.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Connect tab / system audio via screen capture.
+     * Analysis only — the captured audio is already audible at its source.
+     */
+    async connectDisplayAudio() {
         await this.init();
-        this.disconnect();
         
         try {
-            // Create audio element
-            this.audioElement = new Audio();
-            this.audioElement.crossOrigin = 'anonymous';
+            // Browsers require video in the request; the video track is dropped right away.
+            // The current source keeps playing until the picker returns usable audio.
+            const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+            const [audioTrack] = stream.getAudioTracks();
+            stream.getVideoTracks().forEach(track => track.stop());
             
-            // Create object URL for the file
-            const objectUrl = URL.createObjectURL(file);
-            this.audioElement.src = objectUrl;
+            if (!audioTrack) {
+                throw new Error('No audio was shared — enable "Share audio" in the picker');
+            }
             
-            // Wait for metadata to load
-            await new Promise((resolve, reject) => {
-                this.audioElement.addEventListener('loadedmetadata', resolve, { once: true });
-                this.audioElement.addEventListener('error', reject, { once: true });
-            });
+            this.disconnect();
+            this.displayStream = stream;
+            this.source = this.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+            this.source.connect(this.inputBus);
+            // Don't connect to destination: the tab is already playing it
+            
+            // User pressed "Stop sharing" (or the tab closed) — drop back to idle
+            audioTrack.addEventListener('ended', () => {
+                if (this.sourceType !== 'display') return;
+                this.disconnect();
+                this.emit('onSourceEnded', { sourceType: 'display' });
+            }, { once: true });
             
-            // Create media element source
-            this.source = this.audioContext.createMediaElementSource(this.audioElement);
-            this.source.connect(this.analyser);
-            this.analyser.connect(this.audioContext.destination);
+            this.sourceType = 'display';
+            console.log('[AudioAnalyzer] Display audio connected');
+            
+            return true;
+        } catch (error) {
+            console.error('[AudioAnalyzer] Display audio capture failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create the two file decks: element -> source -> gain -> (bus, outputGain -> speakers)
+     */
+    ensureDecks() {
+        if (this.decks) return;
+        
+        this.outputGain = this.audioContext.createGain();
+        this.outputGain.gain.value = this.muted ? 0 : this.volume;
+        this.outputGain.connect(this.audioContext.destination);
+        
+        this.decks = [0, 1].map(() => {
+            const element = new Audio();
+            element.crossOrigin = 'anonymous';
+            element.preload = 'auto';
+            
+            const source = this.audioContext.createMediaElementSource(element);
+            const gain = this.audioContext.createGain();
+            gain.gain.value = 0;
+            source.connect(gain);
+            gain.connect(this.inputBus);
+            gain.connect(this.outputGain);
+            
+            return { element, source, gain, objectUrl: null, file: null, ready: null, cancelLoad: null, fadeTimer: null };
+        });
+    }
+
+    /**
+     * Load a file into a deck and wait for its metadata. A load still in
+     * flight on the same deck is superseded: its promise rejects with
+     * `superseded` set instead of resolving on the new file's metadata.
+     */
+    loadDeck(deck, file) {
+        deck.cancelLoad?.();
+        clearTimeout(deck.fadeTimer);
+        deck.element.pause();
+        if (deck.objectUrl) URL.revokeObjectURL(deck.objectUrl);
+        
+        deck.objectUrl = URL.createObjectURL(file);
+        deck.file = file;
+        deck.element.src = deck.objectUrl;
+        // Loading resets playbackRate to the default, so set both
+        deck.element.defaultPlaybackRate = this.playbackRate;
+        deck.element.playbackRate = this.playbackRate;
+        
+        const ready = new Promise((resolve, reject) => {
+            const settle = (error) => {
+                deck.element.removeEventListener('loadedmetadata', onLoaded);
+                deck.element.removeEventListener('error', onError);
+                deck.cancelLoad = null;
+                if (error) reject(error);
+                else resolve();
+            };
+            const onLoaded = () => settle(null);
+            const onError = () => settle(new Error(`Cannot decode ${file.name}`));
+            deck.element.addEventListener('loadedmetadata', onLoaded);
+            deck.element.addEventListener('error', onError);
+            deck.cancelLoad = () => settle(Object.assign(new Error(`Loading ${file.name} was superseded`), { superseded: true }));
+        });
+        ready.catch(() => { if (deck.ready === ready) deck.file = null; });
+        deck.ready = ready;
+        return ready;
+    }
+
+    /**
+     * Connect audio file as source.
+     * With `transition` and a crossfade duration set, a playing track is
+     * crossfaded into the new one; otherwise the decks switch instantly.
+     * Resolves to null when a later call replaced this one before it finished.
+     */
+    async connectAudioFile(file, { transition = false } = {}) {
+        const request = ++this.fileRequest;
+        this.fileLoading = true;
+        await this.init();
+        if (request !== this.fileRequest) return null;
+        if (this.sourceType !== 'file') this.disconnect();
+        this.ensureDecks();
+        
+        // Tags are parsed alongside decoding; a bad tag never blocks playback
+        const metadata = readMetadata(file).catch(err => {
+            console.warn('[AudioAnalyzer] Could not read tags:', err.message);
+            return {};
+        });
+        
+        try {
+            // Always load into the idle deck so the current track keeps playing meanwhile
+            const index = 1 - this.activeDeck;
+            const deck = this.decks[index];
+            const previous = this.decks[this.activeDeck];
+            
+            if (deck.file === file && deck.ready) {
+                // Staged by preloadFile()
+                await deck.ready;
+                clearTimeout(deck.fadeTimer);
+                deck.element.currentTime = 0;
+            } else {
+                await this.loadDeck(deck, file);
+            }
+            if (request !== this.fileRequest) return null;
+            
+            const fade = transition && this.isPlaying() ? this.crossfadeDuration : 0;
+            this.activeDeck = index;
+            this.audioElement = deck.element;
+            this.clearLoop();
+            
+            if (fade > 0) {
+                this.fadeDeck(deck, 1, fade);
+                this.fadeDeck(previous, 0, fade);
+                previous.fadeTimer = setTimeout(() => previous.element.pause(), fade * 1000);
+                this.play();
+            } else {
+                previous.element.pause();
+                this.fadeDeck(previous, 0, 0);
+                this.fadeDeck(deck, 1, 0);
+            }
             
             this.sourceType = 'file';
+            this.startTrackAnalysis(file);
             console.log('[AudioAnalyzer] Audio file connected:', file.name);
             
+            const { title = '', artist = '', album = '', picture = null } = await metadata;
+            if (request !== this.fileRequest) return null;
             return {
                 name: file.name,
-                duration: this.audioElement.duration
+                title,
+                artist,
+                album,
+                picture,
+                duration: deck.element.duration
             };
         } catch (error) {
+            if (error.superseded) return null;
             console.error('[AudioAnalyzer] Failed to load audio file:', error);
             throw error;
+        } finally {
+            if (request === this.fileRequest) this.fileLoading = false;
         }
     }
 
+    /**
+     * Stage the next file on the idle deck so the switch is gapless
+     */
+    async preloadFile(file) {
+        // Never take the idle deck from a track the user is switching to
+        if (this.sourceType !== 'file' || !this.decks || this.fileLoading) return;
+        const deck = this.decks[1 - this.activeDeck];
+        if (deck.file === file) return;
+        
+        // Warm the analysis cache so look-ahead is ready when the track starts
+        this.trackAnalyzer.analyze(file).catch(() => {});
+        
+        try {
+            await this.loadDeck(deck, file);
+        } catch (error) {
+            if (!error.superseded) console.warn('[AudioAnalyzer] Preload failed:', error);
+        }
+    }
+
+    /**
+     * Equal-power gain ramp on a deck (duration 0 = immediate)
+     */
+    fadeDeck(deck, target, duration) {
+        const param = deck.gain.gain;
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        
+        if (duration <= 0) {
+            param.setValueAtTime(target, now);
+            return;
+        }
+        
+        const from = param.value;
+        const curve = new Float32Array(32);
+        for (let i = 0; i < curve.length; i++) {
+            const t = i / (curve.length - 1);
+            // Quarter-sine blends keep perceived loudness constant
+            curve[i] = target > from
+                ? from + (target - from) * Math.sin(t * Math.PI / 2)
+                : target + (from - target) * Math.cos(t * Math.PI / 2);
+        }
+        param.setValueCurveAtTime(curve, now, duration);
+    }
+
+    /**
+     * Crossfade duration between queued tracks (seconds, 0 = gapless switch)
+     */
+    setCrossfade(seconds) {
+        this.crossfadeDuration = Math.max(0, seconds);
+    }
+
     /**
      * Disconnect current audio source
      */
@@ -149,12 +744,39 @@ export class AudioAnalyzer {
             this.microphoneStream = null;
         }
         
-        if (this.audioElement) {
-            this.audioElement.pause();
-            this.audioElement.src = '';
-            this.audioElement = null;
+        if (this.displayStream) {
+            this.displayStream.getTracks().forEach(track => track.stop());
+            this.displayStream = null;
         }
         
+        this.generator?.stop();
+        
+        // Decks stay wired up; just silence and unload them. Pending loads
+        // are settled first so their connectAudioFile() calls resolve.
+        this.decks?.forEach(deck => {
+            deck.cancelLoad?.();
+            clearTimeout(deck.fadeTimer);
+            deck.element.pause();
+            deck.element.removeAttribute('src');
+            deck.element.load();
+            if (deck.objectUrl) URL.revokeObjectURL(deck.objectUrl);
+            deck.objectUrl = null;
+            deck.file = null;
+            deck.ready = null;
+            this.fadeDeck(deck, 0, 0);
+        });
+        this.audioElement = null;
+        this.clearLoop();
+        this.trackFile = null;
+        this.trackAnalysis = null;
+        this.analysis.track.available = false;
+        
+        this.beatTracker.reset();
+        Object.values(this.drumDetectors).forEach(detector => detector.reset());
+        this.keyEstimator.reset();
+        // A new source has its own loudness
+        Object.values(this.normalizers).forEach(n => n.reset());
+        Object.values(this.bandNormalizers).forEach(n => n.reset());
         this.sourceType = null;
     }
 
@@ -196,6 +818,74 @@ export class AudioAnalyzer {
         return false;
     }
 
+    /**
+     * Speaker volume (0-1), independent of the analysed level
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.updateOutputGain();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.updateOutputGain();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    updateOutputGain() {
+        if (!this.outputGain) return;
+        this.outputGain.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.audioContext.currentTime, 0.02);
+    }
+
+    /**
+     * Playback rate for both decks (pitch is preserved by the media element)
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        this.decks?.forEach(deck => {
+            deck.element.defaultPlaybackRate = rate;
+            deck.element.playbackRate = rate;
+        });
+    }
+
+    /**
+     * Step the A-B loop: set A at the current time, then B, then clear.
+     * Returns { start, end } in seconds (null when unset).
+     */
+    cycleLoopPoint() {
+        const time = this.getCurrentTime();
+        if (!this.audioElement) {
+            this.clearLoop();
+        } else if (this.loopStart === null) {
+            this.loopStart = time;
+        } else if (this.loopEnd === null && Math.abs(time - this.loopStart) > 0.1) {
+            this.loopEnd = Math.max(time, this.loopStart);
+            this.loopStart = Math.min(time, this.loopStart);
+        } else {
+            this.clearLoop();
+        }
+        return { start: this.loopStart, end: this.loopEnd };
+    }
+
+    clearLoop() {
+        this.loopStart = null;
+        this.loopEnd = null;
+    }
+
+    /**
+     * Jump back to A once playback passes B (checked every analysed frame)
+     */
+    checkLoop() {
+        if (this.loopEnd === null || !this.audioElement) return;
+        if (this.audioElement.currentTime >= this.loopEnd) {
+            this.audioElement.currentTime = this.loopStart;
+        }
+    }
+
     /**
      * Seek to position (0-1)
      */
@@ -230,90 +920,438 @@ export class AudioAnalyzer {
      * Analyze current audio frame
      */
     analyze() {
-        if (!this.analyser || !this.dataArray) {
+        if (!this.analyser || !this.frequencyData) {
             return this.analysis;
         }
         
-        // Get frequency data
-        this.analyser.getByteFrequencyData(this.frequencyData);
+        const spectrum = this.analysis.frequencies;
+        const waveform = this.analysis.waveform;
+        
+        const now = performance.now() / 1000;
+        this.frameDelta = this.lastAnalyzeTime ? Math.min(0.1, now - this.lastAnalyzeTime) : 0;
+        this.frameTime = now;
+        this.lastAnalyzeTime = now;
+        
+        if (this.sourceType === 'microphone') this.updateNoiseGate();
+        if (this.sourceType === 'file') this.checkLoop();
         
-        // Get waveform data
-        this.analyser.getByteTimeDomainData(this.dataArray);
+        // Float data straight into the preallocated buffers
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+        this.analyser.getFloatTimeDomainData(waveform);
+        
+        // dB -> 0-1 over the analyser range, and dB -> linear power
+        const minDb = this.analyser.minDecibels;
+        const dbRange = this.analyser.maxDecibels - minDb;
+        for (let i = 0; i < spectrum.length; i++) {
+            const db = this.frequencyData[i];
+            spectrum[i] = Math.max(0, Math.min(1, (db - minDb) / dbRange));
+            this.powerSpectrum[i] = Math.pow(10, db / 10);
+        }
         
         // Calculate amplitude from waveform
         let sum = 0;
-        for (let i = 0; i < this.dataArray.length; i++) {
-            const value = (this.dataArray[i] - 128) / 128;
-            sum += value * value;
+        for (let i = 0; i < waveform.length; i++) {
+            sum += waveform[i] * waveform[i];
+        }
+        this.analysis.amplitude = Math.sqrt(sum / waveform.length);
+        
+        // Legacy bands from their Hz edges
+        this.analysis.bass = this.getBandLevel(this.coreRanges[0]);
+        this.analysis.mid = this.getBandLevel(this.coreRanges[1]);
+        this.analysis.treble = this.getBandLevel(this.coreRanges[2]);
+        
+        // Configurable bands
+        for (let i = 0; i < this.bandRanges.length; i++) {
+            const range = this.bandRanges[i];
+            this.analysis.bands[range.name] = this.getBandLevel(range);
+        }
+        
+        // Per-channel levels, balance and width
+        this.analyzeStereo();
+        
+        // Spectral descriptors, then tempo tracking on the flux
+        this.computeSpectralFeatures();
+        this.computeChroma();
+        this.trackBeats();
+        
+        // Per-band onsets classified as drum hits
+        this.detectDrumHits();
+        
+        this.normalizeLevels();
+        
+        if (this.trackAnalysis) this.updateTrackLookahead();
+        
+        return this.analysis;
+    }
+
+    /**
+     * Run (or fetch from cache) the offline analysis for the playing file.
+     * Results for a file that is no longer playing are dropped.
+     */
+    startTrackAnalysis(file) {
+        this.trackFile = file;
+        this.trackAnalysis = null;
+        this.analysis.track.available = false;
+        
+        this.trackAnalyzer.analyze(file).then(result => {
+            if (this.trackFile !== file) return;
+            this.trackAnalysis = result;
+            console.log('[AudioAnalyzer] Track analyzed:', file.name,
+                result.sections.map(s => `${s.type}@${s.start}s`).join(' '));
+            this.emit('onTrackAnalyzed', result);
+        }).catch(error => {
+            console.warn('[AudioAnalyzer] Track analysis failed:', error);
+        });
+    }
+
+    /**
+     * Current / upcoming section and energy from the pre-analysis
+     */
+    updateTrackLookahead() {
+        const result = this.trackAnalysis;
+        const track = this.analysis.track;
+        const time = this.getCurrentTime();
+        const sections = result.sections;
+        
+        let index = sections.length - 1;
+        for (let i = 0; i < sections.length; i++) {
+            if (time < sections[i].end) { index = i; break; }
+        }
+        const next = sections[index + 1];
+        
+        track.available = true;
+        track.section = sections[index] ? sections[index].type : '';
+        track.nextSection = next ? next.type : '';
+        track.timeToNext = next ? Math.max(0, next.start - time) : Infinity;
+        
+        const envelope = result.envelope;
+        const frame = Math.min(envelope.length - 1, Math.floor(time * result.frameRate));
+        const end = Math.min(envelope.length, frame + LOOKAHEAD_SECONDS * result.frameRate);
+        let ahead = 0;
+        for (let i = frame + 1; i < end; i++) ahead = Math.max(ahead, envelope[i]);
+        track.energy = frame >= 0 ? envelope[frame] : 0;
+        track.energyAhead = ahead;
+    }
+
+    /**
+     * Average level (0-1) of the frequency bins in a range
+     */
+    getBandLevel(range, spectrum = this.analysis.frequencies) {
+        let sum = 0;
+        for (let i = range.start; i < range.end; i++) {
+            sum += spectrum[i];
         }
-        this.analysis.amplitude = Math.sqrt(sum / this.dataArray.length);
+        return sum / (range.end - range.start);
+    }
+
+    /**
+     * 12-bin chroma from the power spectrum, dominant pitch class and key
+     */
+    computeChroma() {
+        const chroma = this.analysis.chroma;
+        const power = this.powerSpectrum;
+        const map = this.chromaMap;
+        chroma.fill(0);
         
-        // Calculate frequency bands
-        const frequencyBins = this.frequencyData.length;
+        for (let i = 1; i < map.length; i++) {
+            if (map[i] >= 0) chroma[map[i]] += power[i];
+        }
         
-        // Bass: 20-250 Hz (roughly first 10% of bins)
-        const bassEnd = Math.floor(frequencyBins * 0.1);
-        let bassSum = 0;
-        for (let i = 0; i < bassEnd; i++) {
-            bassSum += this.frequencyData[i];
+        let max = 0, dominant = -1;
+        for (let pc = 0; pc < 12; pc++) {
+            if (chroma[pc] > max) { max = chroma[pc]; dominant = pc; }
+        }
+        if (max > 1e-10) {
+            for (let pc = 0; pc < 12; pc++) chroma[pc] /= max;
+        } else {
+            dominant = -1;
         }
-        this.analysis.bass = bassSum / (bassEnd * 255);
+        this.analysis.pitchClass = dominant;
+        
+        // Louder frames count more toward the key
+        const estimator = this.keyEstimator;
+        if (dominant >= 0) estimator.update(chroma, this.analysis.amplitude, this.frameDelta);
+        const key = this.analysis.key;
+        key.tonic = estimator.tonic;
+        key.mode = estimator.mode;
+        key.name = estimator.name;
+        key.confidence = estimator.confidence;
+    }
+
+    /**
+     * Left/right levels from the channel analysers, plus balance,
+     * stereo width (side vs. mid energy) and inter-channel correlation
+     */
+    analyzeStereo() {
+        const stereo = this.analysis.stereo;
+        const minDb = this.analyser.minDecibels;
+        const dbRange = this.analyser.maxDecibels - minDb;
+        const sides = [stereo.left, stereo.right];
         
-        // Mid: 250-4000 Hz (roughly 10%-40% of bins)
-        const midStart = bassEnd;
-        const midEnd = Math.floor(frequencyBins * 0.4);
-        let midSum = 0;
-        for (let i = midStart; i < midEnd; i++) {
-            midSum += this.frequencyData[i];
+        for (let c = 0; c < 2; c++) {
+            const analyser = this.channelAnalysers[c];
+            const db = this.channelFrequencyData[c];
+            const spectrum = this.channelSpectra[c];
+            const out = sides[c];
+            
+            analyser.getFloatFrequencyData(db);
+            analyser.getFloatTimeDomainData(this.channelWaveforms[c]);
+            for (let i = 0; i < spectrum.length; i++) {
+                spectrum[i] = Math.max(0, Math.min(1, (db[i] - minDb) / dbRange));
+            }
+            
+            out.bass = this.getBandLevel(this.coreRanges[0], spectrum);
+            out.mid = this.getBandLevel(this.coreRanges[1], spectrum);
+            out.treble = this.getBandLevel(this.coreRanges[2], spectrum);
+            for (let i = 0; i < this.bandRanges.length; i++) {
+                const range = this.bandRanges[i];
+                out.bands[range.name] = this.getBandLevel(range, spectrum);
+            }
         }
-        this.analysis.mid = midSum / ((midEnd - midStart) * 255);
         
-        // Treble: 4000-20000 Hz (roughly 40%-100% of bins)
-        const trebleStart = midEnd;
-        let trebleSum = 0;
-        for (let i = trebleStart; i < frequencyBins; i++) {
-            trebleSum += this.frequencyData[i];
+        // Time-domain energy, cross term and mid/side split in one pass
+        const [left, right] = this.channelWaveforms;
+        let ll = 0, rr = 0, lr = 0;
+        for (let i = 0; i < left.length; i++) {
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+            lr += left[i] * right[i];
         }
-        this.analysis.treble = trebleSum / ((frequencyBins - trebleStart) * 255);
+        stereo.left.amplitude = Math.sqrt(ll / left.length);
+        stereo.right.amplitude = Math.sqrt(rr / right.length);
         
-        // Peak detection
-        this.detectPeak();
+        const total = stereo.left.amplitude + stereo.right.amplitude;
+        stereo.balance = total > 1e-6 ? (stereo.right.amplitude - stereo.left.amplitude) / total : 0;
+        stereo.correlation = ll > 1e-9 && rr > 1e-9 ? lr / Math.sqrt(ll * rr) : 1;
         
-        // Store normalized frequency data
-        this.analysis.frequencies = Array.from(this.frequencyData).map(v => v / 255);
+        // mid = (L+R)/2, side = (L-R)/2 — energies from the sums above
+        const midEnergy = (ll + rr + 2 * lr) / 4;
+        const sideEnergy = (ll + rr - 2 * lr) / 4;
+        const energy = midEnergy + sideEnergy;
+        stereo.width = energy > 1e-9 ? Math.min(1, 2 * sideEnergy / energy) : 0;
+    }
+
+    /**
+     * Set the band model: an array of { name, low, high } in Hz,
+     * or a number for that many log-spaced bands
+     */
+    setBands(bands) {
+        this.bandConfig = typeof bands === 'number' ? createLogBands(bands) : bands;
+        this.analysis.bands = {};
+        this.analysis.normalized.bands = {};
+        this.analysis.stereo.left.bands = {};
+        this.analysis.stereo.right.bands = {};
+        this.bandNormalizers = {};
+        this.updateBandRanges();
+    }
+
+    /**
+     * Map band edges in Hz onto FFT bin ranges for the current sample rate
+     */
+    updateBandRanges() {
+        if (!this.audioContext || !this.analyser) return;
         
-        // Store normalized waveform
-        this.analysis.waveform = Array.from(this.dataArray).map(v => (v - 128) / 128);
+        const binCount = this.analyser.frequencyBinCount;
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const toRange = ({ name, low, high }) => {
+            // Skip the DC bin and keep at least one bin per band
+            const start = Math.min(binCount - 1, Math.max(1, Math.round(low / binWidth)));
+            const end = Math.max(start + 1, Math.min(binCount, Math.round(high / binWidth)));
+            return { name, low, high, start, end };
+        };
         
-        return this.analysis;
+        this.coreRanges = CORE_BANDS.map(toRange);
+        this.drumRanges = DRUM_BANDS.map(toRange);
+        this.bandRanges = this.bandConfig.map(toRange);
+        
+        // Bin centre frequency -> nearest pitch class (A4 = 440 Hz = pitch class 9)
+        this.chromaMap = new Int8Array(binCount).fill(-1);
+        for (let i = 1; i < binCount; i++) {
+            const hz = i * binWidth;
+            if (hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ || binWidth > hz * SEMITONE_RATIO) continue;
+            const midi = Math.round(69 + 12 * Math.log2(hz / 440));
+            this.chromaMap[i] = ((midi % 12) + 12) % 12;
+        }
+        this.bandRanges.forEach(range => {
+            this.analysis.bands[range.name] = 0;
+            this.analysis.stereo.left.bands[range.name] = 0;
+            this.analysis.stereo.right.bands[range.name] = 0;
+            this.analysis.normalized.bands[range.name] = 0;
+            this.bandNormalizers[range.name] ||= new LevelNormalizer({ speed: this.normalization.speed });
+        });
+    }
+
+    /**
+     * Configure normalization: { enabled, targetMin, targetMax, speed }.
+     * Disabled, `analysis.normalized` mirrors the raw values.
+     */
+    setNormalization(options = {}) {
+        Object.assign(this.normalization, options);
+        const { speed } = this.normalization;
+        Object.values(this.normalizers).forEach(n => { n.speed = speed; });
+        Object.values(this.bandNormalizers).forEach(n => { n.speed = speed; });
     }
 
     /**
-     * Detect audio peaks (for beat detection)
+     * Rescale levels to the target range from their recently observed range
      */
-    detectPeak() {
-        const now = performance.now();
-        const energy = this.analysis.bass * 0.6 + this.analysis.mid * 0.3 + this.analysis.treble * 0.1;
+    normalizeLevels() {
+        const { enabled, targetMin, targetMax } = this.normalization;
+        const out = this.analysis.normalized;
+        const dt = this.frameDelta;
+        const scale = targetMax - targetMin;
         
-        // Add to history
-        this.peakHistory.push(energy);
-        if (this.peakHistory.length > 43) { // ~43 frames at 60fps ≈ 700ms window
-            this.peakHistory.shift();
+        for (let i = 0; i < NORMALIZED_FEATURES.length; i++) {
+            const name = NORMALIZED_FEATURES[i];
+            const value = this.normalizers[name].update(this.analysis[name], dt);
+            out[name] = enabled ? targetMin + value * scale : this.analysis[name];
         }
+        for (let i = 0; i < this.bandRanges.length; i++) {
+            const name = this.bandRanges[i].name;
+            const raw = this.analysis.bands[name];
+            const value = this.bandNormalizers[name].update(raw, dt);
+            out.bands[name] = enabled ? targetMin + value * scale : raw;
+        }
+    }
+
+    /**
+     * Spectral descriptors: centroid, flux, rolloff, flatness and zero-crossing rate
+     */
+    computeSpectralFeatures() {
+        const spectrum = this.analysis.frequencies;
+        const power = this.powerSpectrum;
+        const bins = spectrum.length;
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        let total = 0, weighted = 0, logSum = 0, flux = 0;
         
-        // Calculate average energy
-        const avgEnergy = this.peakHistory.reduce((a, b) => a + b, 0) / this.peakHistory.length;
+        for (let i = 1; i < bins; i++) {
+            total += power[i];
+            weighted += power[i] * i * binWidth;
+            logSum += Math.log(power[i] + 1e-12);
+            
+            // Flux: half-wave rectified log-magnitude difference
+            const value = Math.log1p(spectrum[i] * 25.5);
+            const diff = value - this.previousSpectrum[i];
+            if (diff > 0) flux += diff;
+            this.previousSpectrum[i] = value;
+        }
         
-        // Detect peak if current energy exceeds threshold above average
-        const timeSinceLastPeak = now - this.lastPeakTime;
-        if (energy > avgEnergy * (1 + this.peakThreshold) && timeSinceLastPeak > 200) {
-            this.isPeak = true;
-            this.lastPeakTime = now;
+        const count = bins - 1;
+        this.analysis.flux = flux / bins;
+        this.analysis.centroid = total > 0 ? weighted / total : 0;
+        this.analysis.flatness = total > 0 ? Math.min(1, Math.exp(logSum / count) / (total / count)) : 0;
+        
+        // Rolloff: walk up until the energy threshold is reached
+        const threshold = total * this.rolloffPercent;
+        let cumulative = 0, rolloffBin = 0;
+        for (let i = 1; i < bins && total > 0; i++) {
+            cumulative += power[i];
+            if (cumulative >= threshold) { rolloffBin = i; break; }
+        }
+        this.analysis.rolloff = rolloffBin * binWidth;
+        
+        // Zero-crossing rate from the waveform
+        const waveform = this.analysis.waveform;
+        let crossings = 0;
+        for (let i = 1; i < waveform.length; i++) {
+            if ((waveform[i] >= 0) !== (waveform[i - 1] >= 0)) crossings++;
+        }
+        this.analysis.zcr = crossings / waveform.length;
+    }
+
+    /**
+     * Advance the tempo tracker and fire beat/bar events
+     */
+    trackBeats() {
+        const tracker = this.beatTracker;
+        tracker.update(this.analysis.flux, this.frameTime);
+        
+        this.analysis.bpm = tracker.bpm;
+        this.analysis.beatPhase = tracker.beatPhase;
+        this.analysis.beatIndex = tracker.beatIndex;
+        this.analysis.barIndex = tracker.barIndex;
+        this.analysis.beatsPerBar = tracker.beatsPerBar;
+        this.analysis.beatConfidence = tracker.confidence;
+        
+        if (tracker.didBeat) {
             this.analysis.peak = 1;
+            const beat = this.events.beat;
+            beat.bpm = tracker.bpm;
+            beat.beatIndex = tracker.beatIndex;
+            beat.barIndex = tracker.barIndex;
+            beat.beatInBar = tracker.beatIndex % tracker.beatsPerBar;
+            beat.confidence = tracker.confidence;
+            this.emit('onBeat', beat);
         } else {
-            this.isPeak = false;
             this.analysis.peak = Math.max(0, this.analysis.peak - 0.1);
         }
+        
+        if (tracker.didBar) {
+            const bar = this.events.bar;
+            bar.bpm = tracker.bpm;
+            bar.barIndex = tracker.barIndex;
+            bar.confidence = tracker.confidence;
+            this.emit('onBar', bar);
+        }
+    }
+
+    /**
+     * Run the low/mid/high onset detectors and classify hits as kick, snare or hat
+     */
+    detectDrumHits() {
+        const now = this.frameTime;
+        const dt = this.frameDelta;
+        
+        const { low, mid, high } = this.drumDetectors;
+        const lowHit = low.update(this.getBandLevel(this.drumRanges[0]), now);
+        const midHit = mid.update(this.getBandLevel(this.drumRanges[1]), now);
+        const highHit = high.update(this.getBandLevel(this.drumRanges[2]), now);
+        
+        // Decay envelopes
+        this.analysis.kick *= Math.exp(-DRUM_DECAY.kick * dt);
+        this.analysis.snare *= Math.exp(-DRUM_DECAY.snare * dt);
+        this.analysis.hat *= Math.exp(-DRUM_DECAY.hat * dt);
+        
+        if (lowHit) {
+            this.analysis.kick = Math.max(this.analysis.kick, low.strength);
+            this.events.kick.strength = low.strength;
+            this.emit('onKick', this.events.kick);
+        }
+        
+        // Snare: broadband mid onset — noisy body or a crack reaching the highs
+        const snareHit = midHit && (this.analysis.flatness > 0.1 || high.flux > high.floor);
+        if (snareHit) {
+            this.analysis.snare = Math.max(this.analysis.snare, mid.strength);
+            this.events.snare.strength = mid.strength;
+            this.emit('onSnare', this.events.snare);
+        }
+        
+        // Hat: high onset that isn't the top end of a snare
+        if (highHit && !snareHit) {
+            this.analysis.hat = Math.max(this.analysis.hat, high.strength);
+            this.events.hat.strength = high.strength;
+            this.emit('onHat', this.events.hat);
+        }
+    }
+
+    /**
+     * Subscribe to analyzer events ('onBeat' | 'onBar' | 'onKick' | 'onSnare' | 'onHat' | 'onSourceEnded' | 'onTrackAnalyzed').
+     * Payload objects are reused between events — copy fields you need to keep.
+     */
+    on(event, callback) {
+        (this.listeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(cb => cb !== callback);
+        return this;
+    }
+
+    emit(event, payload) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+        for (let i = 0; i < listeners.length; i++) listeners[i](payload);
     }
 
     /**
@@ -332,15 +1370,34 @@ export class AudioAnalyzer {
         return this.audioElement;
     }
 
+    /**
+     * Both deck elements (bind events once, filter on getAudioElement())
+     */
+    getDeckElements() {
+        return this.decks ? this.decks.map(deck => deck.element) : [];
+    }
+
+    /**
+     * Seconds left in the current track
+     */
+    getRemainingTime() {
+        return this.audioElement ? this.audioElement.duration - this.audioElement.currentTime : 0;
+    }
+
     /**
      * Cleanup resources
      */
     destroy() {
         this.disconnect();
+        this.trackAnalyzer.destroy();
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
         }
+        this.decks = null;
+        this.outputGain = null;
+        this.generator = null;
+        this.generatorMonitor = null;
         this.isInitialized = false;
     }
 }
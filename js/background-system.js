@@ -75,6 +75,9 @@ export class BackgroundSystem {
         // Layers
         this.layers = { far: null, mid: null, near: null };
         
+        // Colors overriding the preset's (e.g. from cover art), null = preset
+        this.paletteOverride = null;
+        
         // Background quad
         this.bgQuad = null;
         this.bgScene = null;
@@ -89,6 +92,8 @@ export class BackgroundSystem {
         // Audio smoothing
         this.smoothedAudio = { energy: 0, bass: 0 };
         this.lastFlashTime = 0;
+        this.lastBeatTime = -Infinity;
+        this.barPulse = 0;
         
         // Time
         this.time = 0;
@@ -210,7 +215,7 @@ export class BackgroundSystem {
             }
         `;
 
-        const bgColor1 = new THREE.Color(preset.fogColor);
+        const bgColor1 = this.getBackgroundTint(preset);
         const bgColor2 = new THREE.Color(0x000000);
 
         this.bgMaterial = new THREE.ShaderMaterial({
@@ -311,6 +316,7 @@ export class BackgroundSystem {
         this.disposeLayers();
         
         const preset = PRESETS[this.config.preset];
+        const colors = this.paletteOverride || preset.colors;
         const { complexity, depth } = this.config;
         const baseCount = complexity * 100;
 
@@ -320,7 +326,7 @@ export class BackgroundSystem {
             sizeMin: 0.3, sizeMax: 0.8,
             zMin: -depth, zMax: -depth * 0.6,
             xRange: depth * 1.5, yRange: depth * 0.8,
-            colors: preset.colors,
+            colors,
             speedMult: 0.2,
             opacity: 0.4
         });
@@ -331,7 +337,7 @@ export class BackgroundSystem {
             sizeMin: 0.5, sizeMax: 1.5,
             zMin: -depth * 0.6, zMax: -depth * 0.15,
             xRange: depth * 1.2, yRange: depth * 0.6,
-            colors: preset.colors,
+            colors,
             speedMult: 0.5,
             opacity: 0.6
         });
@@ -342,7 +348,7 @@ export class BackgroundSystem {
             sizeMin: 2.0, sizeMax: 4.0,
             zMin: -depth * 0.15, zMax: -10,
             xRange: depth * 0.8, yRange: depth * 0.4,
-            colors: preset.colors,
+            colors,
             speedMult: 1.0,
             opacity: 0.3
         });
@@ -476,7 +482,7 @@ export class BackgroundSystem {
         `;
 
         // Pad colors to 4
-        while (colorArray.length < 4) colorArray.push(colorArray[0]);
+        while (colorArray.length < 4) colorArray.push(colorArray[0].clone());
 
         const material = new THREE.ShaderMaterial({
             uniforms: {
@@ -559,10 +565,13 @@ export class BackgroundSystem {
         this.updateLayer(this.layers.mid, dt, dynamicsSpeed * parallaxMid, audioEnergy);
         this.updateLayer(this.layers.near, dt, dynamicsSpeed * parallaxNear, audioEnergy);
 
+        // Bar pulse decays between downbeats
+        this.barPulse = Math.max(0, this.barPulse - dt * 1.5);
+
         // Light audio reaction
         if (this.config.lightReactsToAudio) {
             if (this.backLight) {
-                this.backLight.intensity = this.config.backlightIntensity * (1 + audioBass * 0.8);
+                this.backLight.intensity = this.config.backlightIntensity * (1 + audioBass * 0.8 + this.barPulse * 0.6);
             }
             if (this.frontLight) {
                 this.frontLight.intensity = 2 + audioEnergy * 3;
@@ -574,13 +583,10 @@ export class BackgroundSystem {
             });
         }
 
-        // Bass flash (max once per 0.3s)
-        if (audioBass > 0.6 && this.time - this.lastFlashTime > 0.3) {
-            this.lastFlashTime = this.time;
-            // Brief brightness boost to mid layer
-            if (this.layers.mid) {
-                this.layers.mid.material.uniforms.uBrightness.value = this.config.brightness * 1.5;
-            }
+        // Bass flash (max once per 0.3s) — fallback when no beat grid is locked
+        const beatLocked = this.time - this.lastBeatTime < 2;
+        if (!beatLocked && audioBass > 0.6 && this.time - this.lastFlashTime > 0.3) {
+            this.flash();
         } else if (this.layers.mid) {
             // Decay flash
             const current = this.layers.mid.material.uniforms.uBrightness.value;
@@ -591,6 +597,29 @@ export class BackgroundSystem {
         }
     }
 
+    flash() {
+        this.lastFlashTime = this.time;
+        // Brief brightness boost to mid layer
+        if (this.layers.mid) {
+            this.layers.mid.material.uniforms.uBrightness.value = this.config.brightness * 1.5;
+        }
+    }
+
+    // =========================================================
+    // BEAT EVENTS
+    // =========================================================
+
+    onBeat() {
+        if (!this.config.audioSync) return;
+        this.lastBeatTime = this.time;
+        this.flash();
+    }
+
+    onBar() {
+        if (!this.config.audioSync) return;
+        this.barPulse = 1;
+    }
+
     updateLayer(layer, dt, speed, audioEnergy) {
         if (!layer) return;
 
@@ -654,6 +683,30 @@ export class BackgroundSystem {
         }
     }
 
+    /**
+     * Recolor particles and the backdrop gradient with the given colors
+     * (null restores the preset's). Particles keep their positions.
+     */
+    setPaletteOverride(colors) {
+        this.paletteOverride = colors?.length ? colors.slice() : null;
+        const preset = PRESETS[this.config.preset];
+        const palette = this.paletteOverride || preset.colors;
+
+        Object.values(this.layers).forEach(layer => {
+            if (!layer) return;
+            layer.material.uniforms.uColors.value.forEach((color, i) => color.set(palette[i] ?? palette[0]));
+        });
+        this.bgMaterial?.uniforms.uColor1.value.copy(this.getBackgroundTint(preset));
+    }
+
+    /**
+     * Backdrop gradient color: the preset fog, or a very dark shade of the override's first color
+     */
+    getBackgroundTint(preset) {
+        if (!this.paletteOverride) return new THREE.Color(preset.fogColor);
+        return new THREE.Color(this.paletteOverride[0]).multiplyScalar(0.03);
+    }
+
     setBrightness(val) {
         this.config.brightness = val;
         Object.values(this.layers).forEach(layer => {
@@ -0,0 +1,218 @@
+/**
+ * BeatTracker Module
+ * Tempo and beat phase estimation from an onset strength signal.
+ * Onsets are resampled onto a fixed-rate envelope, tempo comes from a
+ * comb-weighted autocorrelation and phase from comb alignment.
+ */
+
+const ENVELOPE_RATE = 50;       // envelope samples per second
+const HISTORY_SECONDS = 6;      // autocorrelation window
+const ESTIMATE_INTERVAL = 0.5;  // seconds between tempo estimates
+const PRIOR_BPM = 120;          // centre of the tempo prior (reduces octave errors)
+
+export class BeatTracker {
+    constructor(options = {}) {
+        this.minBpm = options.minBpm || 70;
+        this.maxBpm = options.maxBpm || 180;
+        this.beatsPerBar = options.beatsPerBar || 4;
+        this.minConfidence = options.minConfidence ?? 0.25;
+
+        // Onset envelope ring buffer
+        this.size = ENVELOPE_RATE * HISTORY_SECONDS;
+        this.envelope = new Float32Array(this.size);
+        this.ordered = new Float32Array(this.size);
+        this.minLag = Math.floor(ENVELOPE_RATE * 60 / this.maxBpm);
+        this.maxLag = Math.ceil(ENVELOPE_RATE * 60 / this.minBpm);
+        this.scores = new Float32Array(this.maxLag + 1);
+
+        this.reset();
+    }
+
+    reset() {
+        this.envelope.fill(0);
+        this.writeIndex = 0;
+        this.filled = 0;
+        this.lastSampleTime = -1;
+        this.lastEstimateTime = 0;
+        this.candidateBpm = 0;
+
+        // Public state
+        this.bpm = 0;
+        this.period = 0;
+        this.confidence = 0;
+        this.beatPhase = 0;
+        this.beatIndex = -1;
+        this.barIndex = -1;
+        this.nextBeatTime = 0;
+        this.didBeat = false;
+        this.didBar = false;
+    }
+
+    /**
+     * Feed one onset strength value at `time` (seconds)
+     */
+    update(onset, time) {
+        this.didBeat = false;
+        this.didBar = false;
+
+        this.push(onset, time);
+
+        if (time - this.lastEstimateTime >= ESTIMATE_INTERVAL && this.filled >= this.maxLag * 2) {
+            this.lastEstimateTime = time;
+            this.estimate(time);
+        }
+
+        if (!this.period) return;
+
+        // Fire beats on the predicted grid while the tempo is trusted
+        if (time >= this.nextBeatTime) {
+            // Skip missed beats (tab in background, long frame)
+            const missed = Math.floor((time - this.nextBeatTime) / this.period);
+            this.nextBeatTime += (missed + 1) * this.period;
+
+            if (this.confidence >= this.minConfidence) {
+                this.beatIndex++;
+                this.didBeat = true;
+                if (this.beatIndex % this.beatsPerBar === 0) {
+                    this.barIndex++;
+                    this.didBar = true;
+                }
+            }
+        }
+
+        this.beatPhase = Math.min(1, Math.max(0, 1 - (this.nextBeatTime - time) / this.period));
+    }
+
+    /**
+     * Resample onsets onto the fixed-rate envelope (max per cell)
+     */
+    push(onset, time) {
+        if (this.lastSampleTime < 0) this.lastSampleTime = time;
+
+        const steps = Math.min(this.size, Math.floor((time - this.lastSampleTime) * ENVELOPE_RATE));
+        if (steps === 0) {
+            const last = (this.writeIndex - 1 + this.size) % this.size;
+            this.envelope[last] = Math.max(this.envelope[last], onset);
+            return;
+        }
+
+        for (let i = 0; i < steps; i++) {
+            // Only the newest cell carries the onset, gaps are silence
+            this.envelope[this.writeIndex] = i === steps - 1 ? onset : 0;
+            this.writeIndex = (this.writeIndex + 1) % this.size;
+        }
+        this.filled = Math.min(this.size, this.filled + steps);
+        this.lastSampleTime += steps / ENVELOPE_RATE;
+    }
+
+    /**
+     * Tempo from comb-weighted autocorrelation, phase from comb alignment
+     */
+    estimate(time) {
+        const n = this.filled;
+        const env = this.ordered;
+
+        // Unroll the ring buffer (oldest first) and remove the mean
+        let mean = 0;
+        for (let i = 0; i < n; i++) {
+            env[i] = this.envelope[(this.writeIndex - n + i + this.size) % this.size];
+            mean += env[i];
+        }
+        mean /= n;
+        let energy = 0;
+        for (let i = 0; i < n; i++) {
+            env[i] -= mean;
+            energy += env[i] * env[i];
+        }
+
+        if (energy < 1e-6) {
+            this.confidence = 0;
+            return;
+        }
+
+        let bestLag = 0, bestScore = -Infinity, bestComb = 0;
+        for (let lag = this.minLag; lag <= this.maxLag; lag++) {
+            // Comb: reward lags whose multiples also correlate
+            let score = this.autocorrelate(lag, n, energy);
+            if (lag * 2 < n) score += 0.5 * this.autocorrelate(lag * 2, n, energy);
+            if (lag * 3 < n) score += 0.25 * this.autocorrelate(lag * 3, n, energy);
+
+            // Log-gaussian tempo prior
+            const bpm = ENVELOPE_RATE * 60 / lag;
+            const octaves = Math.log2(bpm / PRIOR_BPM);
+            const weighted = score * Math.exp(-0.5 * octaves * octaves);
+
+            this.scores[lag] = weighted;
+            if (weighted > bestScore) { bestScore = weighted; bestLag = lag; bestComb = score; }
+        }
+
+        // Parabolic interpolation for a fractional lag
+        let lag = bestLag;
+        if (bestLag > this.minLag && bestLag < this.maxLag) {
+            const a = this.scores[bestLag - 1], b = this.scores[bestLag], c = this.scores[bestLag + 1];
+            const denom = a - 2 * b + c;
+            if (denom !== 0) lag += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+        }
+
+        // Confidence from the unweighted comb score (max 1 + 0.5 + 0.25)
+        this.confidence = Math.max(0, Math.min(1, bestComb / 1.75));
+        this.setTempo(ENVELOPE_RATE * 60 / lag);
+        this.alignPhase(time, lag);
+    }
+
+    autocorrelate(lag, n, energy) {
+        const env = this.ordered;
+        let sum = 0;
+        for (let i = lag; i < n; i++) sum += env[i] * env[i - lag];
+        return sum / energy;
+    }
+
+    /**
+     * Smooth small tempo drift, require two agreeing estimates to jump
+     */
+    setTempo(bpm) {
+        if (!this.bpm) {
+            this.bpm = bpm;
+        } else if (Math.abs(bpm - this.bpm) / this.bpm < 0.04) {
+            this.bpm += (bpm - this.bpm) * 0.3;
+        } else if (this.candidateBpm && Math.abs(bpm - this.candidateBpm) / this.candidateBpm < 0.04) {
+            this.bpm = bpm;
+            this.candidateBpm = 0;
+        } else {
+            this.candidateBpm = bpm;
+            return;
+        }
+        this.period = 60 / this.bpm;
+    }
+
+    /**
+     * Find the beat offset that best lines up with recent onsets
+     */
+    alignPhase(time, lag) {
+        if (!this.period) return;
+
+        const n = this.filled;
+        const env = this.ordered;
+        const steps = Math.max(1, Math.round(lag));
+        let bestOffset = 0, bestSum = -Infinity;
+
+        for (let offset = 0; offset < steps; offset++) {
+            let sum = 0;
+            for (let i = n - 1 - offset; i >= 0; i -= lag) sum += env[Math.round(i)] || 0;
+            if (sum > bestSum) { bestSum = sum; bestOffset = offset; }
+        }
+
+        const lastBeat = time - bestOffset / ENVELOPE_RATE;
+        let target = lastBeat + this.period;
+        while (target < time) target += this.period;
+
+        // Wrap the error into [-period/2, period/2] and nudge (or snap when unlocked)
+        let error = target - this.nextBeatTime;
+        error -= Math.round(error / this.period) * this.period;
+        if (this.beatIndex < 0 || this.nextBeatTime === 0) {
+            this.nextBeatTime = target;
+        } else {
+            this.nextBeatTime += error * 0.5;
+        }
+    }
+}
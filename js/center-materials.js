@@ -0,0 +1,363 @@
+/**
+ * CenterMaterials Module
+ * Material modes for the center geometry. Each mode builds the meshes it
+ * needs from one geometry: `solid` is the main object, `wire` / `glow`
+ * are optional overlays. Shader modes use three's vertex chunks, so the
+ * spectrum displacement patch applies to every mode.
+ */
+
+import * as THREE from 'three';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+
+export const CENTER_MATERIAL_MODES = ['classic', 'fresnel', 'iridescent', 'glass', 'toon', 'points'];
+
+// Tunable parameters per mode (defaults)
+export const CENTER_MATERIAL_PARAMS = {
+    classic: {},
+    fresnel: { power: 2.5, intensity: 1.2 },
+    iridescent: { thickness: 420, ior: 1.4, intensity: 1.0 },   // film thickness in nm
+    glass: { ior: 1.3, aberration: 0.4, tint: 0.2 },
+    toon: { bands: 3, outline: 4 },                            // outline in % of size
+    points: { size: 0.3 }
+};
+
+const VIEW_VERTEX = /* glsl */ `
+    #include <common>
+    varying vec3 vNormalView;
+    varying vec3 vViewPosition;
+
+    void main() {
+        #include <beginnormal_vertex>
+        #include <defaultnormal_vertex>
+        #include <begin_vertex>
+        #include <project_vertex>
+        vNormalView = normalize(transformedNormal);
+        vViewPosition = -mvPosition.xyz;
+    }
+`;
+
+// Shared by the fragment shaders: view-space normal facing the camera
+const VIEW_FRAGMENT_HEADER = /* glsl */ `
+    varying vec3 vNormalView;
+    varying vec3 vViewPosition;
+
+    vec3 facingNormal() {
+        vec3 n = normalize(vNormalView);
+        return gl_FrontFacing ? n : -n;
+    }
+`;
+
+const FRESNEL_FRAGMENT = VIEW_FRAGMENT_HEADER + /* glsl */ `
+    uniform vec3 uColor;
+    uniform vec3 uRimColor;
+    uniform float uPower;
+    uniform float uIntensity;
+    uniform float uAudio;
+
+    void main() {
+        vec3 v = normalize(vViewPosition);
+        float rim = pow(1.0 - abs(dot(facingNormal(), v)), uPower);
+        vec3 color = mix(uColor * 0.15, uRimColor, rim) * uIntensity * (1.0 + uAudio * 1.5);
+        gl_FragColor = vec4(color, clamp(0.15 + rim, 0.0, 1.0));
+    }
+`;
+
+// Thin-film interference: per-channel phase from the optical path difference
+const IRIDESCENT_FRAGMENT = VIEW_FRAGMENT_HEADER + /* glsl */ `
+    uniform vec3 uColor;
+    uniform float uThickness;
+    uniform float uIor;
+    uniform float uIntensity;
+    uniform float uAudio;
+    uniform float uTime;
+
+    void main() {
+        vec3 n = facingNormal();
+        vec3 v = normalize(vViewPosition);
+        float cosI = abs(dot(n, v));
+        float sinT2 = (1.0 - cosI * cosI) / (uIor * uIor);
+        float cosT = sqrt(max(0.0, 1.0 - sinT2));
+
+        // Loud passages thicken the film; a slow ripple keeps it alive
+        float thickness = uThickness * (1.0 + uAudio * 0.6) + sin(uTime * 0.5 + vViewPosition.y * 0.2) * 40.0;
+        float pathDifference = 2.0 * uIor * thickness * cosT;
+        vec3 film = 0.5 + 0.5 * cos(6.2831853 * pathDifference / vec3(650.0, 510.0, 475.0));
+
+        float fresnel = 0.04 + 0.96 * pow(1.0 - cosI, 5.0);
+        vec3 color = film * (0.35 + fresnel) * uIntensity + uColor * 0.08;
+        gl_FragColor = vec4(color, 0.85);
+    }
+`;
+
+// Refraction of the pre-rendered backdrop with per-channel offsets
+const GLASS_FRAGMENT = VIEW_FRAGMENT_HEADER + /* glsl */ `
+    uniform sampler2D uBackdrop;
+    uniform vec2 uResolution;
+    uniform vec3 uColor;
+    uniform float uIor;
+    uniform float uAberration;
+    uniform float uTint;
+    uniform float uAudio;
+
+    void main() {
+        vec3 n = facingNormal();
+        vec3 v = normalize(vViewPosition);
+        vec2 uv = gl_FragCoord.xy / uResolution;
+
+        vec2 offset = refract(-v, n, 1.0 / uIor).xy * 0.12 * (1.0 + uAudio);
+        float spread = uAberration * 0.2;
+        vec3 refracted = vec3(
+            texture2D(uBackdrop, uv + offset * (1.0 - spread)).r,
+            texture2D(uBackdrop, uv + offset).g,
+            texture2D(uBackdrop, uv + offset * (1.0 + spread)).b
+        );
+        refracted = mix(refracted, refracted * uColor * 2.0, uTint);
+
+        float fresnel = pow(1.0 - abs(dot(n, v)), 3.0);
+        vec3 light = normalize(vec3(0.3, 0.6, 0.7));
+        float specular = pow(max(dot(reflect(-light, n), v), 0.0), 60.0);
+        gl_FragColor = vec4(refracted + vec3(fresnel * 0.5 + specular * 0.8), 1.0);
+    }
+`;
+
+export class CenterMaterials {
+    constructor(colors) {
+        this.colors = colors;
+        this.params = structuredClone(CENTER_MATERIAL_PARAMS);
+
+        // Shared, updated once per frame
+        this.uniforms = {
+            uTime: { value: 0 },
+            uAudio: { value: 0 },
+            uBackdrop: { value: null },
+            uResolution: { value: new THREE.Vector2(1, 1) }
+        };
+
+        this.mode = 'classic';  // null while the center uses its own material
+        this.parts = null;
+        this.gradientMap = null;
+        this.dotTexture = null;
+    }
+
+    get needsBackdrop() {
+        return this.mode === 'glass';
+    }
+
+    /**
+     * Build the meshes for a mode. `patch(material)` is applied to every
+     * material (vertex displacement). Returns { solid, wire, glow } (overlays may be null).
+     */
+    build(mode, geometry, patch) {
+        this.mode = CENTER_MATERIAL_MODES.includes(mode) ? mode : 'classic';
+        const c = this.colors;
+        let solid, wire = null, glow = null;
+
+        switch (this.mode) {
+            case 'fresnel':
+                solid = new THREE.Mesh(geometry, this.shaderMaterial(FRESNEL_FRAGMENT, {
+                    uColor: { value: c.primary },
+                    uRimColor: { value: c.secondary },
+                    uPower: { value: 0 },
+                    uIntensity: { value: 0 }
+                }, { blending: THREE.AdditiveBlending }));
+                wire = new THREE.Mesh(geometry.clone(), new THREE.MeshBasicMaterial({
+                    color: c.primary, wireframe: true, transparent: true, opacity: 0.2
+                }));
+                wire.scale.setScalar(1.01);
+                break;
+
+            case 'iridescent':
+                solid = new THREE.Mesh(geometry, this.shaderMaterial(IRIDESCENT_FRAGMENT, {
+                    uColor: { value: c.primary },
+                    uThickness: { value: 0 },
+                    uIor: { value: 0 },
+                    uIntensity: { value: 0 }
+                }));
+                break;
+
+            case 'glass':
+                solid = new THREE.Mesh(geometry, this.shaderMaterial(GLASS_FRAGMENT, {
+                    uColor: { value: c.primary },
+                    uIor: { value: 0 },
+                    uAberration: { value: 0 },
+                    uTint: { value: 0 }
+                }, { transparent: false, depthWrite: true }));
+                break;
+
+            case 'toon':
+                solid = new THREE.Mesh(geometry, new THREE.MeshToonMaterial({
+                    color: c.primary.clone(), gradientMap: this.getGradientMap()
+                }));
+                // Inverted hull outline
+                glow = new THREE.Mesh(geometry.clone(), new THREE.MeshBasicMaterial({
+                    color: c.secondary.clone(), side: THREE.BackSide
+                }));
+                break;
+
+            case 'points': {
+                const pointGeometry = geometry.clone();
+                pointGeometry.deleteAttribute('normal');
+                pointGeometry.deleteAttribute('uv');
+                solid = new THREE.Points(mergeVertices(pointGeometry), new THREE.PointsMaterial({
+                    color: c.primary.clone(), map: this.getDotTexture(), size: 0,
+                    transparent: true, depthWrite: false, blending: THREE.AdditiveBlending
+                }));
+                pointGeometry.dispose();
+                geometry.dispose();
+                break;
+            }
+
+            default:
+                solid = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+                    color: 0x222233, emissive: 0x0a0a12,
+                    specular: 0x666688, shininess: 60,
+                    transparent: true, opacity: 0.65, side: THREE.DoubleSide
+                }));
+                wire = new THREE.Mesh(geometry.clone(), new THREE.MeshBasicMaterial({
+                    color: c.primary, wireframe: true, transparent: true, opacity: 0.9
+                }));
+                wire.scale.setScalar(1.01);
+                glow = new THREE.Mesh(geometry.clone(), new THREE.MeshBasicMaterial({
+                    color: c.secondary, wireframe: true, transparent: true, opacity: 0.25
+                }));
+                glow.scale.setScalar(1.1);
+        }
+
+        [solid, wire, glow].forEach(part => part && patch(part.material));
+        this.parts = { solid, wire, glow };
+        this.applyParams();
+        return this.parts;
+    }
+
+    shaderMaterial(fragmentShader, uniforms, options = {}) {
+        return new THREE.ShaderMaterial({
+            uniforms: { ...uniforms, ...this.uniforms },
+            vertexShader: VIEW_VERTEX,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            ...options
+        });
+    }
+
+    /**
+     * Set one parameter of a mode; applied live when that mode is active
+     */
+    setParam(mode, key, value) {
+        if (!this.params[mode] || !(key in this.params[mode])) return;
+        this.params[mode][key] = value;
+        if (mode === this.mode) this.applyParams();
+    }
+
+    applyParams() {
+        const { solid, glow } = this.parts || {};
+        if (!solid) return;
+        const p = this.params[this.mode];
+        const u = solid.material.uniforms;
+
+        switch (this.mode) {
+            case 'fresnel':
+                u.uPower.value = p.power;
+                u.uIntensity.value = p.intensity;
+                break;
+            case 'iridescent':
+                u.uThickness.value = p.thickness;
+                u.uIor.value = p.ior;
+                u.uIntensity.value = p.intensity;
+                break;
+            case 'glass':
+                u.uIor.value = p.ior;
+                u.uAberration.value = p.aberration;
+                u.uTint.value = p.tint;
+                break;
+            case 'toon':
+                this.updateGradientMap(p.bands);
+                glow.scale.setScalar(1 + p.outline / 100);
+                glow.visible = p.outline > 0;
+                break;
+            case 'points':
+                solid.material.size = p.size;
+                break;
+        }
+    }
+
+    /**
+     * Forget the built parts, for centers that bring their own material
+     * (no backdrop render, no recoloring of meshes that were replaced)
+     */
+    reset() {
+        this.mode = null;
+        this.parts = null;
+    }
+
+    /**
+     * Per-frame audio and color sync
+     */
+    update(delta, amplitude) {
+        this.uniforms.uTime.value += delta;
+        this.uniforms.uAudio.value = amplitude;
+        const { solid, glow } = this.parts || {};
+        if (!solid) return;
+
+        if (this.mode === 'toon') {
+            solid.material.color.copy(this.colors.primary);
+            glow.material.color.copy(this.colors.secondary);
+        } else if (this.mode === 'points') {
+            solid.material.color.copy(this.colors.primary);
+            solid.material.size = this.params.points.size * (1 + amplitude * 1.5);
+        }
+    }
+
+    /**
+     * Backdrop texture and drawing-buffer size for the glass refraction
+     */
+    setBackdrop(texture, width, height) {
+        this.uniforms.uBackdrop.value = texture;
+        this.uniforms.uResolution.value.set(width, height);
+    }
+
+    getGradientMap() {
+        if (!this.gradientMap) {
+            this.gradientMap = new THREE.DataTexture(new Uint8Array(8), 8, 1, THREE.RedFormat);
+            this.gradientMap.minFilter = THREE.NearestFilter;
+            this.gradientMap.magFilter = THREE.NearestFilter;
+            this.updateGradientMap(this.params.toon.bands);
+        }
+        return this.gradientMap;
+    }
+
+    /**
+     * Toon shading steps (2+), stretched across the 8-texel map
+     */
+    updateGradientMap(bands) {
+        if (!this.gradientMap) return;
+        const data = this.gradientMap.image.data;
+        for (let i = 0; i < data.length; i++) {
+            const step = Math.floor(i * bands / data.length);
+            data[i] = Math.round(40 + 215 * step / Math.max(1, bands - 1));
+        }
+        this.gradientMap.needsUpdate = true;
+    }
+
+    getDotTexture() {
+        if (!this.dotTexture) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 64;
+            const ctx = canvas.getContext('2d');
+            const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.5)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 64, 64);
+            this.dotTexture = new THREE.CanvasTexture(canvas);
+        }
+        return this.dotTexture;
+    }
+
+    dispose() {
+        this.gradientMap?.dispose();
+        this.dotTexture?.dispose();
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * KeyEstimator Module
+ * Musical key from a chroma vector (Krumhansl–Schmuckler).
+ * Chroma is accumulated with a slow leak so the estimate follows the
+ * harmony of the last several seconds rather than single chords.
+ */
+
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl–Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Profile with its mean removed (for Pearson correlation)
+ */
+function center(profile) {
+    const mean = profile.reduce((a, b) => a + b, 0) / profile.length;
+    return profile.map(v => v - mean);
+}
+
+const MAJOR = center(MAJOR_PROFILE);
+const MINOR = center(MINOR_PROFILE);
+const MAJOR_NORM = Math.sqrt(MAJOR.reduce((a, v) => a + v * v, 0));
+const MINOR_NORM = Math.sqrt(MINOR.reduce((a, v) => a + v * v, 0));
+
+export class KeyEstimator {
+    constructor(options = {}) {
+        this.memory = options.memory ?? 8;   // seconds of harmony the estimate follows
+        this.accumulated = new Float32Array(12);
+        this.reset();
+    }
+
+    reset() {
+        this.accumulated.fill(0);
+        this.tonic = -1;          // pitch class 0-11, -1 = unknown
+        this.mode = 'major';      // 'major' | 'minor'
+        this.confidence = 0;      // best correlation (0-1)
+        this.name = '';
+    }
+
+    /**
+     * Feed one chroma frame (12 values) weighted by `energy`, `dt` seconds long
+     */
+    update(chroma, energy, dt) {
+        const leak = Math.exp(-dt / this.memory);
+        let total = 0;
+        for (let i = 0; i < 12; i++) {
+            this.accumulated[i] = this.accumulated[i] * leak + chroma[i] * energy * dt;
+            total += this.accumulated[i];
+        }
+        if (total < 1e-6) return;
+
+        const acc = this.accumulated;
+        const mean = total / 12;
+        let norm = 0;
+        for (let i = 0; i < 12; i++) norm += (acc[i] - mean) * (acc[i] - mean);
+        norm = Math.sqrt(norm);
+        if (norm < 1e-9) return;
+
+        let best = -Infinity, bestTonic = 0, bestMode = 'major';
+        for (let tonic = 0; tonic < 12; tonic++) {
+            let major = 0, minor = 0;
+            for (let i = 0; i < 12; i++) {
+                const v = acc[(tonic + i) % 12] - mean;
+                major += v * MAJOR[i];
+                minor += v * MINOR[i];
+            }
+            major /= norm * MAJOR_NORM;
+            minor /= norm * MINOR_NORM;
+            if (major > best) { best = major; bestTonic = tonic; bestMode = 'major'; }
+            if (minor > best) { best = minor; bestTonic = tonic; bestMode = 'minor'; }
+        }
+
+        if (bestTonic !== this.tonic || bestMode !== this.mode) {
+            this.name = `${PITCH_CLASSES[bestTonic]} ${bestMode}`;
+        }
+        this.tonic = bestTonic;
+        this.mode = bestMode;
+        this.confidence = Math.max(0, best);
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * LevelNormalizer Module
+ * Adaptive normalization of one feature. The ceiling jumps to new peaks and
+ * decays slowly, so quiet passages after loud ones stay quiet for a while.
+ * The floor follows the quiet end of the signal at `speed` but never rises
+ * past half the ceiling, so a steady signal keeps its level instead of
+ * becoming the new floor. The value is rescaled between the two.
+ */
+
+// Ceiling decay relative to `speed`
+const CEILING_DECAY = 0.25;
+// Highest floor, as a fraction of the ceiling
+const FLOOR_LIMIT = 0.5;
+
+export class LevelNormalizer {
+    constructor(options = {}) {
+        this.speed = options.speed ?? 0.2;       // floor relaxation rate (1/s)
+        this.minSpan = options.minSpan ?? 0.05;  // smallest floor-ceiling gap (keeps noise from being blown up)
+        this.reset();
+    }
+
+    reset() {
+        this.floor = 0;
+        this.ceiling = 0;
+        this.primed = false;
+        this.value = 0;
+    }
+
+    /**
+     * Feed a raw value, returns it rescaled to 0-1 over the recent range
+     */
+    update(raw, dt) {
+        if (!this.primed) {
+            this.floor = raw;
+            this.ceiling = raw;
+            this.primed = true;
+        }
+
+        const relax = 1 - Math.exp(-this.speed * dt);
+        const decay = 1 - Math.exp(-this.speed * CEILING_DECAY * dt);
+        this.ceiling = raw > this.ceiling ? raw : this.ceiling + (raw - this.ceiling) * decay;
+        this.floor = raw < this.floor ? raw : this.floor + (raw - this.floor) * relax;
+        this.floor = Math.min(this.floor, this.ceiling * FLOOR_LIMIT);
+
+        const span = Math.max(this.minSpan, this.ceiling - this.floor);
+        this.value = Math.max(0, Math.min(1, (raw - this.floor) / span));
+        return this.value;
+    }
+}
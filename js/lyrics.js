@@ -0,0 +1,164 @@
+/**
+ * Lyrics Module
+ * LRC parsing (including enhanced LRC word timing) and time lookup.
+ * Rendering is left to UIController (DOM overlay) and Visualizer (3D text).
+ */
+
+// How long the last word of a line stays lit without an explicit end mark
+const LAST_WORD_SECONDS = 1.5;
+
+const LINE_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const WORD_TAG = /<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>/g;
+const META_TAG = /^\[(ti|ar|al|by|offset|length):(.*)\]$/i;
+
+/**
+ * "mm" + "ss[.xx]" -> seconds (some editors write mm:ss:xx)
+ */
+function toSeconds(minutes, seconds) {
+    return parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.'));
+}
+
+/**
+ * Split an enhanced-LRC body into timed words. Text before the first
+ * word tag starts at the line time; every tag ends the word before it,
+ * so a trailing tag with no text only marks the end.
+ */
+function parseWords(body, lineTime) {
+    const segments = [];
+    let cursor = 0, time = lineTime, match;
+    WORD_TAG.lastIndex = 0;
+    while ((match = WORD_TAG.exec(body))) {
+        segments.push({ time, text: body.slice(cursor, match.index) });
+        time = toSeconds(match[1], match[2]);
+        cursor = WORD_TAG.lastIndex;
+    }
+    segments.push({ time, text: body.slice(cursor) });
+
+    const words = [];
+    segments.forEach((segment, i) => {
+        if (!segment.text.trim()) return;
+        const next = segments[i + 1];
+        words.push({ time: segment.time, end: next ? next.time : null, text: segment.text });
+    });
+    return words;
+}
+
+/**
+ * Parse LRC text into { title, artist, album, offset, lines }.
+ * Lines: { time, text, words } sorted by time; words is null for plain LRC.
+ */
+export function parseLrc(text) {
+    const result = { title: '', artist: '', album: '', offset: 0, lines: [] };
+
+    text.split(/\r?\n/).forEach(raw => {
+        const line = raw.trim();
+        if (!line) return;
+
+        const meta = line.match(META_TAG);
+        if (meta) {
+            const key = meta[1].toLowerCase(), value = meta[2].trim();
+            if (key === 'ti') result.title = value;
+            else if (key === 'ar') result.artist = value;
+            else if (key === 'al') result.album = value;
+            // Positive offsets show lyrics earlier
+            else if (key === 'offset') result.offset = (parseInt(value, 10) || 0) / 1000;
+            return;
+        }
+
+        // One body can carry several timestamps (repeated choruses)
+        const times = [];
+        let match, end = 0;
+        LINE_TAG.lastIndex = 0;
+        while ((match = LINE_TAG.exec(line)) && match.index === end) {
+            times.push(toSeconds(match[1], match[2]));
+            end = LINE_TAG.lastIndex;
+        }
+        if (!times.length) return;
+
+        const body = line.slice(end);
+        WORD_TAG.lastIndex = 0;
+        const enhanced = WORD_TAG.test(body);
+        // Word tags are absolute times for the first timestamp; copies at
+        // later timestamps shift by their distance from it
+        const timed = enhanced ? parseWords(body, times[0]) : null;
+        times.forEach(time => {
+            const shift = time - times[0];
+            const words = timed && timed.map(w => ({
+                time: w.time + shift, end: w.end === null ? null : w.end + shift, text: w.text
+            }));
+            const plain = enhanced ? words.map(w => w.text).join('') : body;
+            result.lines.push({ time, text: plain.replace(/\s+/g, ' ').trim(), words });
+        });
+    });
+
+    result.lines.sort((a, b) => a.time - b.time);
+
+    // Close the last word of each line at the next line (or shortly after)
+    result.lines.forEach((line, i) => {
+        const last = line.words?.[line.words.length - 1];
+        if (!last || last.end !== null) return;
+        const next = result.lines[i + 1];
+        last.end = Math.min(next ? next.time : Infinity, last.time + LAST_WORD_SECONDS);
+    });
+
+    return result;
+}
+
+/**
+ * Parsed lyrics with playback-time lookup
+ */
+export class LyricsTrack {
+    constructor(parsed) {
+        this.lines = parsed.lines;
+        this.offset = parsed.offset;   // from the file's [offset:] tag
+        this.userOffset = 0;           // manual nudge from the UI (seconds, + = earlier)
+
+        // Reused by getState()
+        this.state = { index: -1, line: null, next: null, wordIndex: -1, wordProgress: 0 };
+    }
+
+    /**
+     * Index of the line active at `time` (-1 before the first line)
+     */
+    lineIndexAt(time) {
+        let lo = 0, hi = this.lines.length - 1, found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.lines[mid].time <= time) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Current / next line and karaoke position at a playback time
+     */
+    getState(playbackTime) {
+        const time = playbackTime + this.offset + this.userOffset;
+        const state = this.state;
+        const index = this.lineIndexAt(time);
+
+        state.index = index;
+        state.line = this.lines[index] || null;
+        state.next = this.lines[index + 1] || null;
+        state.wordIndex = -1;
+        state.wordProgress = 0;
+
+        const words = state.line?.words;
+        if (words) {
+            for (let i = words.length - 1; i >= 0; i--) {
+                if (words[i].time <= time) {
+                    const w = words[i];
+                    state.wordIndex = i;
+                    state.wordProgress = w.end > w.time ? Math.min(1, (time - w.time) / (w.end - w.time)) : 1;
+                    break;
+                }
+            }
+        }
+        return state;
+    }
+}
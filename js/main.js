@@ -5,12 +5,42 @@
 import { AudioAnalyzer } from './audio-analyzer.js';
 import { Visualizer } from './visualizer.js';
 import { UIController } from './ui-controller.js';
+import { Playlist } from './playlist.js';
+import { AnalysisRecorder, AnalysisReplay } from './analysis-recording.js';
+import { extractPalette } from './palette-extractor.js';
+import { parseLrc, LyricsTrack } from './lyrics.js';
+
+// With no crossfade, the next track is started on a timer this close to the end
+// (timeupdate only fires every ~250 ms, too coarse for a gapless switch)
+const GAPLESS_LEAD = 0.5;
+
+// Lyrics pair with tracks by file name without extension
+const baseName = (name) => name.replace(/\.[^.]+$/, '').toLowerCase();
 
 class Auralux {
     constructor() {
         this.audioAnalyzer = null;
         this.visualizer = null;
         this.ui = null;
+        // Anything with `sourceType` and `analyze()` — the analyzer or a replay
+        this.provider = null;
+        this.recorder = null;
+        this.replay = null;
+        this.lastReplayProgress = 0;
+        // Cover art palette of the current track (applied when enabled)
+        this.artwork = null;
+        this.artworkPalette = null;
+        this.useArtworkPalette = false;
+        // Known .lrc files by base name, and the current track's lyrics
+        this.lyricsFiles = new Map();
+        this.lyrics = null;
+        this.lyricIndex = null;     // line on screen (null = nothing shown)
+        this.lyricAccent = true;
+        this.lyricsOffset = 0;
+        this.playlist = new Playlist();
+        this.boundElements = new WeakSet();
+        this.isAdvancing = false;
+        this.gaplessTimer = null;
         this.animationId = null;
         this.isRunning = false;
         this.init();
@@ -21,6 +51,7 @@ class Auralux {
             this.ui = new UIController();
             this.audioAnalyzer = new AudioAnalyzer();
             this.visualizer = new Visualizer(document.getElementById('canvas-container'));
+            this.provider = this.audioAnalyzer;
             this.setupCallbacks();
             this.start();
             this.ui.hideLoader();
@@ -36,52 +67,225 @@ class Auralux {
         // AUDIO
         // =====================================================
         this.ui.on('onMicrophoneClick', async () => {
+            this.stopReplay();
             try {
                 await this.audioAnalyzer.connectMicrophone();
                 this.ui.setMicrophoneActive(true);
+                this.ui.setDisplayActive(false);
+                this.ui.setGeneratorActive(false);
                 this.ui.hideAudioPlayer();
+                // Device labels become readable once permission is granted
+                this.refreshInputDevices();
             } catch (err) {
                 this.ui.showError('Microphone access denied');
                 this.ui.setMicrophoneActive(false);
             }
         });
 
-        this.ui.on('onFileSelect', async (file) => {
+        this.ui.on('onDisplayClick', async () => {
+            // Second click stops sharing
+            if (this.audioAnalyzer.sourceType === 'display') {
+                this.audioAnalyzer.disconnect();
+                this.ui.setDisplayActive(false);
+                return;
+            }
+            this.stopReplay();
+            try {
+                await this.audioAnalyzer.connectDisplayAudio();
+                this.ui.setDisplayActive(true);
+                this.ui.setMicrophoneActive(false);
+                this.ui.setGeneratorActive(false);
+                this.ui.hideAudioPlayer();
+            } catch (err) {
+                this.ui.showError(err.name === 'NotAllowedError' ? 'Tab audio capture cancelled' : 'Tab audio capture failed: ' + err.message);
+                this.ui.setDisplayActive(false);
+            }
+        });
+
+        // =====================================================
+        // TEST SIGNAL
+        // =====================================================
+        this.ui.on('onGeneratorToggle', async () => {
+            if (this.audioAnalyzer.sourceType === 'generator') {
+                this.audioAnalyzer.disconnect();
+                this.ui.setGeneratorActive(false);
+                return;
+            }
+            this.stopReplay();
+            const { type, ...options } = this.ui.getGeneratorSettings();
+            try {
+                await this.audioAnalyzer.connectGenerator(type, options);
+                this.ui.setGeneratorActive(true);
+                this.ui.setMicrophoneActive(false);
+                this.ui.setDisplayActive(false);
+                this.ui.hideAudioPlayer();
+            } catch (err) {
+                this.ui.showError('Test signal failed: ' + err.message);
+            }
+        });
+        this.ui.on('onGeneratorTypeChange', async (type) => {
+            if (this.audioAnalyzer.sourceType !== 'generator') return;
+            try {
+                await this.audioAnalyzer.connectGenerator(type);
+            } catch (err) {
+                this.ui.setGeneratorActive(this.audioAnalyzer.sourceType === 'generator');
+                this.ui.showError('Test signal failed: ' + err.message);
+            }
+        });
+        this.ui.on('onGeneratorFrequencyChange', (frequency) => this.audioAnalyzer.setGeneratorOptions({ frequency }));
+        this.ui.on('onGeneratorBpmChange', (bpm) => this.audioAnalyzer.setGeneratorOptions({ bpm }));
+        this.ui.on('onGeneratorLevelChange', (level) => this.audioAnalyzer.setGeneratorOptions({ level }));
+        this.ui.on('onGeneratorMonitorChange', (v) => this.audioAnalyzer.setGeneratorMonitor(v));
+
+        this.audioAnalyzer.on('onSourceEnded', ({ sourceType }) => {
+            if (sourceType === 'display') this.ui.setDisplayActive(false);
+            if (sourceType === 'microphone') this.ui.setMicrophoneActive(false);
+        });
+
+        // =====================================================
+        // AUDIO INPUT
+        // =====================================================
+        this.ui.on('onInputDeviceChange', async (deviceId) => {
+            this.audioAnalyzer.setMicrophoneDevice(deviceId);
+            if (this.audioAnalyzer.sourceType !== 'microphone') return;
             try {
-                const info = await this.audioAnalyzer.connectAudioFile(file);
+                await this.audioAnalyzer.connectMicrophone();
+            } catch (err) {
+                this.ui.showError('Could not open the selected microphone');
                 this.ui.setMicrophoneActive(false);
-                this.ui.showAudioPlayer(info);
-                const audio = this.audioAnalyzer.getAudioElement();
-                if (audio) {
-                    audio.addEventListener('play', () => this.ui.setPlayingState(true));
-                    audio.addEventListener('pause', () => this.ui.setPlayingState(false));
-                    audio.addEventListener('ended', () => { 
-                        this.ui.setPlayingState(false); 
-                        this.ui.updateProgress(0, info.duration); 
-                    });
-                    audio.addEventListener('timeupdate', () => {
-                        this.ui.updateProgress(this.audioAnalyzer.getCurrentTime(), this.audioAnalyzer.getDuration());
-                    });
-                }
+            }
+        });
+        this.ui.on('onInputGainChange', (v) => this.audioAnalyzer.setInputGain(v));
+        this.ui.on('onNoiseGateChange', (v) => this.audioAnalyzer.setNoiseGateThreshold(v));
+        this.ui.on('onAutoGainChange', (enabled) => this.audioAnalyzer.setNormalization({ enabled }));
+        this.ui.on('onAutoGainSpeedChange', (speed) => this.audioAnalyzer.setNormalization({ speed }));
+        this.ui.on('onAutoGainTargetChange', (targetMax) => this.audioAnalyzer.setNormalization({ targetMax }));
+
+        navigator.mediaDevices?.addEventListener('devicechange', () => this.refreshInputDevices());
+        this.refreshInputDevices();
+
+        this.ui.on('onFileSelect', (file) => {
+            const [item] = this.playlist.add([file]);
+            this.playTrack(this.playlist.items.indexOf(item), { autoplay: this.audioAnalyzer.isPlaying() });
+        });
+
+        this.ui.on('onPlayPause', () => {
+            const transport = this.replay || this.audioAnalyzer;
+            this.ui.setPlayingState(transport.togglePlayPause());
+        });
+        this.ui.on('onSeek', (pos) => (this.replay || this.audioAnalyzer).seek(pos));
+        this.ui.on('onSeekBy', (seconds) => {
+            const transport = this.replay || this.audioAnalyzer;
+            const duration = transport.getDuration();
+            if (duration > 0) transport.seek(Math.max(0, Math.min(1, (transport.getCurrentTime() + seconds) / duration)));
+        });
+        this.ui.on('onVolumeChange', (v) => this.audioAnalyzer.setVolume(v));
+        this.ui.on('onMuteToggle', () => this.ui.setMuted(this.audioAnalyzer.toggleMute()));
+        this.ui.on('onRateChange', (v) => this.audioAnalyzer.setPlaybackRate(v));
+        this.ui.on('onLoopCycle', () => {
+            if (this.replay) return;
+            const { start, end } = this.audioAnalyzer.cycleLoopPoint();
+            const duration = this.audioAnalyzer.getDuration();
+            this.ui.setLoopMarkers(start === null ? null : start / duration, end === null ? null : end / duration);
+        });
+
+        // =====================================================
+        // RECORDING
+        // =====================================================
+        this.ui.on('onRecordToggle', () => {
+            if (this.recorder?.isRecording) {
+                this.finishRecording();
+                return;
+            }
+            if (!this.provider.sourceType) {
+                this.ui.showError('Start an audio source before recording');
+                return;
+            }
+            this.recorder = new AnalysisRecorder(this.provider);
+            this.recorder.start();
+            this.ui.setRecordingActive(true);
+        });
+
+        this.ui.on('onReplayFile', async (file) => {
+            try {
+                const replay = new AnalysisReplay().load(await file.arrayBuffer());
+                this.startReplay(replay, file.name);
             } catch (err) {
-                this.ui.showError('Failed to load audio: ' + err.message);
+                this.ui.showError('Cannot replay ' + file.name + ': ' + err.message);
             }
         });
 
-        this.ui.on('onPlayPause', () => this.ui.setPlayingState(this.audioAnalyzer.togglePlayPause()));
-        this.ui.on('onSeek', (pos) => this.audioAnalyzer.seek(pos));
+        // =====================================================
+        // LYRICS
+        // =====================================================
+        this.ui.on('onLyricsAdd', (files, toCurrent) => this.addLyricsFiles(files, toCurrent));
+        this.ui.on('onLyrics3DChange', (v) => this.visualizer.setLyrics3D(v));
+        this.ui.on('onLyricsAccentChange', (v) => { this.lyricAccent = v; });
+        this.ui.on('onLyricsOffsetChange', (v) => {
+            this.lyricsOffset = v;
+            if (this.lyrics) this.lyrics.userOffset = v;
+        });
+
+        // =====================================================
+        // PLAYLIST
+        // =====================================================
+        this.ui.on('onQueueAdd', (files) => {
+            const startIdle = this.audioAnalyzer.sourceType !== 'file';
+            const [first] = this.playlist.add(files);
+            if (startIdle && first) this.playTrack(this.playlist.items.indexOf(first), { autoplay: false });
+            else this.refreshQueue();
+        });
+        this.ui.on('onQueueSelect', (index) => this.playTrack(index, { autoplay: true, transition: true }));
+        this.ui.on('onQueueMove', (from, to) => { this.playlist.move(from, to); this.refreshQueue(); });
+        this.ui.on('onQueueRemove', (index) => { this.playlist.remove(index); this.refreshQueue(); });
+        this.ui.on('onNext', () => this.playNext());
+        this.ui.on('onPrevious', () => this.playPrevious());
+        this.ui.on('onShuffleToggle', () => {
+            this.playlist.setShuffle(!this.playlist.shuffle);
+            this.ui.setShuffleActive(this.playlist.shuffle);
+        });
+        this.ui.on('onRepeatCycle', () => this.ui.setRepeatMode(this.playlist.cycleRepeat()));
+        this.ui.on('onCrossfadeChange', (v) => this.audioAnalyzer.setCrossfade(v));
+
+        // =====================================================
+        // BEAT
+        // =====================================================
+        this.audioAnalyzer.on('onBeat', (beat) => this.visualizer.onBeat(beat));
+        this.audioAnalyzer.on('onBar', (bar) => this.visualizer.onBar(bar));
 
         // =====================================================
         // GEOMETRY
         // =====================================================
         this.ui.on('onGeometryChange', (v) => this.visualizer.setGeometry(v));
         this.ui.on('onDetailChange', (v) => this.visualizer.setDetail(v));
+        this.ui.on('onSupershapeParamChange', (key, v) => this.visualizer.setSupershapeParam(key, v));
+        this.ui.on('onModelFile', async (file) => {
+            try {
+                const { id, name } = await this.visualizer.loadModel(file);
+                this.ui.addModelOption(id, name);
+                this.ui.setGeometrySelect(id);
+                this.visualizer.setGeometry(id);
+            } catch (err) {
+                this.ui.showError('Could not load model: ' + err.message);
+            }
+        });
+        this.ui.on('onTransitionChange', (v) => this.visualizer.setTransition(v));
+        this.ui.on('onTransitionDurationChange', (v) => this.visualizer.setTransitionDuration(v));
+        this.ui.on('onTransitionBeatChange', (v) => this.visualizer.setTransitionBeatAligned(v));
+        this.ui.on('onMaterialModeChange', (v) => this.visualizer.setMaterialMode(v));
+        this.ui.on('onMaterialParamChange', (key, v) => this.visualizer.setMaterialParam(key, v));
+        this.ui.on('onDisplacementChange', (v) => this.visualizer.setDisplacement(v));
+        this.ui.on('onDisplacementAmountChange', (v) => this.visualizer.setDisplacementAmount(v));
 
         // =====================================================
         // RINGS
         // =====================================================
         this.ui.on('onRingsStyleChange', (v) => this.visualizer.setRingsStyle(v));
         this.ui.on('onRingsCountChange', (v) => this.visualizer.setRingsCount(v));
+        this.ui.on('onSpectrumBarsChange', (v) => this.visualizer.setSpectrumBars(v));
+        this.ui.on('onSpectrumMirrorChange', (v) => this.visualizer.setSpectrumMirror(v));
+        this.ui.on('onSpectrumPeaksChange', (v) => this.visualizer.setSpectrumPeaks(v));
+        this.ui.on('onSpectrumGradientChange', (v) => this.visualizer.setSpectrumGradient(v));
 
         // =====================================================
         // SURROUND
@@ -119,6 +323,12 @@ class Auralux {
         // =====================================================
         // SCENE
         // =====================================================
+        this.ui.on('onColorModeChange', (v) => this.visualizer.setColorMode(v));
+        this.ui.on('onArtworkPaletteChange', (enabled) => {
+            this.useArtworkPalette = enabled;
+            if (enabled) this.applyArtworkPalette();
+            else this.visualizer.setPalette(null);
+        });
         this.ui.on('onBloomChange', (v) => this.visualizer.setBloom(v));
         this.ui.on('onFogChange', (v) => this.visualizer.setFog(v));
 
@@ -135,6 +345,282 @@ class Auralux {
         });
     }
 
+    // =====================================================
+    // PLAYBACK
+    // =====================================================
+
+    async playTrack(index, { autoplay = true, transition = false } = {}) {
+        const item = this.playlist.select(index);
+        if (!item) return;
+        this.stopReplay();
+        clearTimeout(this.gaplessTimer);
+        this.gaplessTimer = null;
+
+        try {
+            const info = await this.audioAnalyzer.connectAudioFile(item.file, { transition });
+            // A later selection took over while this one was loading
+            if (!info) return;
+            this.bindAudioEvents();
+            this.ui.setMicrophoneActive(false);
+            this.ui.setDisplayActive(false);
+            this.ui.setGeneratorActive(false);
+            this.ui.showAudioPlayer(info);
+            this.updateArtworkPalette(info.picture);
+            this.loadLyrics(item);
+            this.ui.setLoopMarkers(null, null);
+            if (autoplay) this.audioAnalyzer.play();
+            this.ui.setPlayingState(this.audioAnalyzer.isPlaying() || autoplay);
+        } catch (err) {
+            this.ui.showError('Failed to load audio: ' + err.message);
+        }
+        this.refreshQueue();
+    }
+
+    /**
+     * Extract the palette of a track's cover art; tracks without art fall back to defaults
+     */
+    async updateArtworkPalette(picture) {
+        this.artwork = picture;
+        let palette = null;
+        if (picture) {
+            try {
+                palette = await extractPalette(picture);
+            } catch (err) {
+                console.warn('[Auralux] Could not read cover art:', err.message);
+            }
+        }
+        // A newer track may have loaded meanwhile
+        if (this.artwork !== picture) return;
+        this.artworkPalette = palette;
+        this.applyArtworkPalette();
+    }
+
+    applyArtworkPalette() {
+        if (this.useArtworkPalette) this.visualizer.setPalette(this.artworkPalette);
+    }
+
+    // =====================================================
+    // LYRICS
+    // =====================================================
+
+    /**
+     * Register .lrc files. With `toCurrent` (added without audio), a single
+     * file that matches no queued track is taken to belong to the current one.
+     */
+    addLyricsFiles(files, toCurrent) {
+        const current = this.playlist.current;
+        const queued = new Set(this.playlist.items.map(item => baseName(item.name)));
+
+        files.forEach(file => {
+            const key = baseName(file.name);
+            if (toCurrent && files.length === 1 && current && !queued.has(key)) {
+                this.lyricsFiles.set(baseName(current.name), file);
+            } else {
+                this.lyricsFiles.set(key, file);
+            }
+        });
+        if (current) this.loadLyrics(current);
+    }
+
+    async loadLyrics(item) {
+        const file = this.lyricsFiles.get(baseName(item.name));
+        this.lyrics = null;
+        this.lyricIndex = -2;   // forces a redraw (or clear) on the next frame
+        if (!file) return;
+
+        try {
+            const lyrics = new LyricsTrack(parseLrc(await file.text()));
+            // The track may have changed while reading
+            if (this.playlist.current !== item) return;
+            if (!lyrics.lines.length) {
+                this.ui.showError(`No timed lines in ${file.name}`);
+                return;
+            }
+            lyrics.userOffset = this.lyricsOffset;
+            this.lyrics = lyrics;
+            this.lyricIndex = -2;
+        } catch (err) {
+            this.ui.showError('Could not read lyrics: ' + err.message);
+        }
+    }
+
+    /**
+     * Follow the file's playback position; lyrics only show for file playback
+     */
+    updateLyrics() {
+        const active = this.lyrics && !this.replay && this.audioAnalyzer.sourceType === 'file';
+        if (!active) {
+            if (this.lyricIndex !== null) {
+                this.lyricIndex = null;
+                this.ui.showLyricLine(null, null);
+                this.visualizer.showLyric('');
+            }
+            return;
+        }
+
+        const state = this.lyrics.getState(this.audioAnalyzer.getCurrentTime());
+        if (state.index !== this.lyricIndex) {
+            // Seeking backwards or the first frame after loading shouldn't pulse
+            const advanced = this.lyricIndex !== null && this.lyricIndex >= -1 && state.index > this.lyricIndex;
+            this.lyricIndex = state.index;
+            this.ui.showLyricLine(state.line, state.next);
+            this.visualizer.showLyric(state.line?.text || '');
+            if (this.lyricAccent && advanced && state.line?.text) this.visualizer.onLyricLine();
+        }
+        if (state.line?.words) this.ui.setLyricProgress(state.wordIndex, state.wordProgress);
+    }
+
+    async playNext({ auto = false } = {}) {
+        const index = this.playlist.getNextIndex(auto);
+        if (index < 0) return false;
+
+        this.isAdvancing = true;
+        await this.playTrack(index, { autoplay: true, transition: true });
+        this.isAdvancing = false;
+        return true;
+    }
+
+    playPrevious() {
+        // Restart the track unless we're near its start
+        if (this.audioAnalyzer.getCurrentTime() > 3) {
+            this.audioAnalyzer.seek(0);
+            return;
+        }
+        const index = this.playlist.getPreviousIndex();
+        if (index >= 0) this.playTrack(index, { autoplay: true, transition: true });
+    }
+
+    /**
+     * Decks persist, so media events are bound once per element and
+     * ignored unless they come from the active deck
+     */
+    bindAudioEvents() {
+        this.audioAnalyzer.getDeckElements().forEach(audio => {
+            if (this.boundElements.has(audio)) return;
+            this.boundElements.add(audio);
+
+            const isActive = () => audio === this.audioAnalyzer.getAudioElement();
+            audio.addEventListener('play', () => { if (isActive()) this.ui.setPlayingState(true); });
+            audio.addEventListener('pause', () => { if (isActive()) this.ui.setPlayingState(false); });
+            audio.addEventListener('ended', async () => {
+                if (!isActive() || this.isAdvancing) return;
+                if (await this.playNext({ auto: true })) return;
+                this.ui.setPlayingState(false);
+                this.ui.updateProgress(0, audio.duration);
+            });
+            audio.addEventListener('timeupdate', () => {
+                if (!isActive()) return;
+                this.ui.updateProgress(this.audioAnalyzer.getCurrentTime(), this.audioAnalyzer.getDuration());
+                this.checkAutoAdvance();
+            });
+        });
+    }
+
+    /**
+     * Preload the next track near the end and start the crossfade in time
+     */
+    checkAutoAdvance() {
+        if (this.isAdvancing || !this.audioAnalyzer.isPlaying()) return;
+
+        const nextIndex = this.playlist.getNextIndex(true);
+        if (nextIndex < 0) return;
+
+        const next = this.playlist.items[nextIndex];
+        const remaining = this.audioAnalyzer.getRemainingTime();
+        const crossfade = this.audioAnalyzer.crossfadeDuration;
+
+        if (remaining < crossfade + 15 && next !== this.playlist.current) {
+            this.audioAnalyzer.preloadFile(next.file);
+        }
+        if (crossfade > 0 && remaining <= crossfade) {
+            this.playNext({ auto: true });
+        } else if (crossfade === 0 && remaining <= GAPLESS_LEAD && !this.gaplessTimer) {
+            this.scheduleGaplessSwitch(remaining);
+        }
+    }
+
+    /**
+     * Start the staged next track when the current one runs out, instead
+     * of waiting for its `ended` event
+     */
+    scheduleGaplessSwitch(remaining) {
+        const element = this.audioAnalyzer.getAudioElement();
+        const delay = remaining / (element.playbackRate || 1) * 1000;
+        this.gaplessTimer = setTimeout(() => {
+            this.gaplessTimer = null;
+            // Skip if the track changed, was paused or was seeked back meanwhile
+            if (this.isAdvancing || element !== this.audioAnalyzer.getAudioElement()) return;
+            if (!this.audioAnalyzer.isPlaying() || this.audioAnalyzer.getRemainingTime() > GAPLESS_LEAD) return;
+            this.playNext({ auto: true });
+        }, Math.max(0, delay - 20));
+    }
+
+    // =====================================================
+    // RECORD / REPLAY
+    // =====================================================
+
+    /**
+     * Stop recording and download the file
+     */
+    finishRecording() {
+        if (!this.recorder?.isRecording) return;
+        const blob = this.recorder.stop();
+        this.ui.setRecordingActive(false);
+        if (!this.recorder.frameCount) return;
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `auralux-${stamp}.axr`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Swap the live analyzer for a recorded analysis stream
+     */
+    startReplay(replay, name) {
+        this.stopReplay();
+        this.finishRecording();
+        this.audioAnalyzer.disconnect();
+        this.ui.setMicrophoneActive(false);
+        this.ui.setDisplayActive(false);
+        this.ui.setGeneratorActive(false);
+
+        replay.on('onBeat', (beat) => this.visualizer.onBeat(beat));
+        replay.on('onBar', (bar) => this.visualizer.onBar(bar));
+        this.replay = replay;
+        this.provider = replay;
+        replay.play();
+
+        this.ui.setReplayActive(true);
+        this.ui.showAudioPlayer({ name });
+        this.ui.setPlayingState(true);
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+        this.finishRecording();
+        this.replay.unload();
+        this.replay = null;
+        this.provider = this.audioAnalyzer;
+        this.ui.setReplayActive(false);
+        this.ui.hideAudioPlayer();
+    }
+
+    async refreshInputDevices() {
+        try {
+            const devices = await this.audioAnalyzer.listInputDevices();
+            this.ui.setInputDevices(devices, this.audioAnalyzer.micDeviceId);
+        } catch (err) {
+            console.warn('[Auralux] Could not list input devices:', err);
+        }
+    }
+
+    refreshQueue() {
+        this.ui.renderQueue(this.playlist.items, this.playlist.currentIndex);
+    }
+
     start() { 
         this.isRunning = true; 
         this.loop(); 
@@ -149,11 +635,26 @@ class Auralux {
         if (!this.isRunning) return;
         this.animationId = requestAnimationFrame(() => this.loop());
         
-        if (this.audioAnalyzer.sourceType) {
-            this.visualizer.update(this.audioAnalyzer.analyze());
+        const provider = this.provider;
+        if (provider.sourceType) {
+            const analysis = provider.analyze();
+            if (this.recorder?.isRecording) this.recorder.capture(analysis);
+            this.visualizer.update(analysis);
+            if (this.replay) this.updateReplayProgress();
         } else {
             this.visualizer.renderIdle();
         }
+        this.updateLyrics();
+    }
+
+    /**
+     * Replays have no media element, so the progress bar is driven from the loop
+     */
+    updateReplayProgress() {
+        const now = performance.now();
+        if (now - this.lastReplayProgress < 250) return;
+        this.lastReplayProgress = now;
+        this.ui.updateProgress(this.replay.getCurrentTime(), this.replay.getDuration());
     }
 
     destroy() { 
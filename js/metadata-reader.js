@@ -0,0 +1,310 @@
+/**
+ * Metadata Reader Module
+ * Title / artist / album and embedded cover art from audio files:
+ * ID3v2 (MP3), Vorbis comments (FLAC, Ogg Vorbis, Opus) and MP4 atoms (M4A/AAC).
+ * Only the parts of the file that hold tags are read.
+ */
+
+// Upper bound for Ogg comment packets (they can carry base64 cover art)
+const OGG_SCAN_BYTES = 8 * 1024 * 1024;
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+async function readBytes(file, start, length) {
+    const end = Math.min(file.size, start + length);
+    if (start >= end) return new Uint8Array(0);
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+const ascii = (bytes, start, length) => latin1.decode(bytes.subarray(start, start + length));
+const uint32BE = (b, o) => ((b[o] << 24) >>> 0) + (b[o + 1] << 16) + (b[o + 2] << 8) + b[o + 3];
+const uint32LE = (b, o) => b[o] + (b[o + 1] << 8) + (b[o + 2] << 16) + ((b[o + 3] << 24) >>> 0);
+const syncsafe = (b, o) => (b[o] << 21) | (b[o + 1] << 14) | (b[o + 2] << 7) | b[o + 3];
+
+/**
+ * Read tags from a File. Resolves to { title, artist, album, picture }
+ * (picture is a Blob or null); fields the file doesn't carry are ''.
+ */
+export async function readMetadata(file) {
+    const meta = { title: '', artist: '', album: '', picture: null };
+    const head = await readBytes(file, 0, 12);
+
+    try {
+        if (ascii(head, 0, 3) === 'ID3') await readId3(file, head, meta);
+        else if (ascii(head, 0, 4) === 'fLaC') await readFlac(file, meta);
+        else if (ascii(head, 0, 4) === 'OggS') await readOgg(file, meta);
+        else if (ascii(head, 4, 4) === 'ftyp') await readMp4(file, meta);
+    } catch (error) {
+        // Damaged tags shouldn't block playback
+        console.warn('[MetadataReader] Could not read tags from', file.name, error);
+    }
+    return meta;
+}
+
+// =====================================================
+// ID3v2
+// =====================================================
+
+const ID3_FIELDS = {
+    TIT2: 'title', TPE1: 'artist', TALB: 'album',
+    TT2: 'title', TP1: 'artist', TAL: 'album'
+};
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ */
+function unsync(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let n = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        out[n++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return out.subarray(0, n);
+}
+
+/**
+ * Decode ID3 text in the given encoding byte; returns [text, bytes consumed incl. terminator]
+ */
+function decodeId3Text(bytes, start, encoding, terminated = false) {
+    const wide = encoding === 1 || encoding === 2;
+    let end = bytes.length;
+    if (terminated) {
+        end = start;
+        while (end < bytes.length && (wide ? bytes[end] || bytes[end + 1] : bytes[end])) end += wide ? 2 : 1;
+    }
+    const slice = bytes.subarray(start, end);
+    const consumed = end - start + (terminated ? (wide ? 2 : 1) : 0);
+
+    let text;
+    if (encoding === 0) text = latin1.decode(slice);
+    else if (encoding === 3) text = utf8.decode(slice);
+    else if (encoding === 2) text = new TextDecoder('utf-16be').decode(slice);
+    else text = new TextDecoder(slice[0] === 0xfe ? 'utf-16be' : 'utf-16le').decode(slice.subarray(2));
+
+    return [text.replace(/\0+$/, ''), consumed];
+}
+
+async function readId3(file, head, meta) {
+    const version = head[3];
+    const flags = head[5];
+    const size = syncsafe(head, 6);
+    let tag = await readBytes(file, 10, size);
+    if (version < 4 && flags & 0x80) tag = unsync(tag);
+
+    let offset = 0;
+    if (flags & 0x40) {
+        // Extended header (v2.4 size is syncsafe and includes itself)
+        offset = version === 4 ? syncsafe(tag, 0) : uint32BE(tag, 0) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+
+    while (offset + headerLength <= tag.length) {
+        const id = ascii(tag, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+        const frameSize = version === 2
+            ? (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5]
+            : version === 4 ? syncsafe(tag, offset + 4) : uint32BE(tag, offset + 4);
+        const frameFlags = version === 2 ? 0 : tag[offset + 9];
+        let body = tag.subarray(offset + headerLength, offset + headerLength + frameSize);
+        offset += headerLength + frameSize;
+
+        if (version === 4 && frameFlags & 0x02) body = unsync(body);
+        // Skip compressed / encrypted frames
+        if (version === 3 && frameFlags & 0xc0) continue;
+        if (version === 4 && frameFlags & 0x0c) continue;
+        if (version === 4 && frameFlags & 0x01) body = body.subarray(4); // data length indicator
+
+        if (ID3_FIELDS[id] && !meta[ID3_FIELDS[id]]) {
+            meta[ID3_FIELDS[id]] = decodeId3Text(body, 1, body[0])[0];
+        } else if ((id === 'APIC' || id === 'PIC') && !meta.picture) {
+            meta.picture = readId3Picture(body, id === 'PIC');
+        }
+    }
+}
+
+function readId3Picture(body, legacy) {
+    const encoding = body[0];
+    let pos = 1;
+    let mime;
+    if (legacy) {
+        // v2.2: three-letter image format
+        const format = ascii(body, 1, 3).toLowerCase();
+        mime = format === 'png' ? 'image/png' : 'image/jpeg';
+        pos = 4;
+    } else {
+        const end = body.indexOf(0, pos);
+        mime = ascii(body, pos, end - pos) || 'image/jpeg';
+        if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+        pos = end + 1;
+    }
+    pos += 1; // picture type
+    pos += decodeId3Text(body, pos, encoding, true)[1];
+    return new Blob([body.subarray(pos)], { type: mime });
+}
+
+// =====================================================
+// VORBIS COMMENTS (FLAC / OGG)
+// =====================================================
+
+const VORBIS_FIELDS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+
+function readVorbisComment(bytes, start, meta) {
+    let pos = start;
+    const vendorLength = uint32LE(bytes, pos);
+    pos += 4 + vendorLength;
+    const count = uint32LE(bytes, pos);
+    pos += 4;
+
+    for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+        const length = uint32LE(bytes, pos);
+        const comment = utf8.decode(bytes.subarray(pos + 4, pos + 4 + length));
+        pos += 4 + length;
+
+        const eq = comment.indexOf('=');
+        const key = comment.slice(0, eq).toUpperCase();
+        const value = comment.slice(eq + 1);
+        if (VORBIS_FIELDS[key] && !meta[VORBIS_FIELDS[key]]) meta[VORBIS_FIELDS[key]] = value;
+        if (key === 'METADATA_BLOCK_PICTURE' && !meta.picture) {
+            const binary = Uint8Array.from(atob(value), c => c.charCodeAt(0));
+            meta.picture = readFlacPicture(binary);
+        }
+    }
+}
+
+/**
+ * FLAC PICTURE block (also base64-embedded in Ogg comments)
+ */
+function readFlacPicture(bytes) {
+    let pos = 4; // picture type
+    const mimeLength = uint32BE(bytes, pos);
+    const mime = ascii(bytes, pos + 4, mimeLength);
+    pos += 4 + mimeLength;
+    pos += 4 + uint32BE(bytes, pos); // description
+    pos += 16;                        // width, height, depth, colours
+    const length = uint32BE(bytes, pos);
+    return new Blob([bytes.subarray(pos + 4, pos + 4 + length)], { type: mime || 'image/jpeg' });
+}
+
+async function readFlac(file, meta) {
+    let offset = 4;
+    for (;;) {
+        const header = await readBytes(file, offset, 4);
+        if (header.length < 4) return;
+        const isLast = header[0] & 0x80;
+        const type = header[0] & 0x7f;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+        if (type === 4) readVorbisComment(await readBytes(file, offset + 4, length), 0, meta);
+        else if (type === 6 && !meta.picture) meta.picture = readFlacPicture(await readBytes(file, offset + 4, length));
+
+        offset += 4 + length;
+        if (isLast) return;
+    }
+}
+
+/**
+ * Reassemble the second logical packet (the comment header) from Ogg pages
+ */
+async function readOgg(file, meta) {
+    const bytes = await readBytes(file, 0, OGG_SCAN_BYTES);
+    const packets = [];
+    let current = [];
+    let pos = 0;
+
+    while (pos + 27 <= bytes.length && packets.length < 2) {
+        if (ascii(bytes, pos, 4) !== 'OggS') return;
+        const segments = bytes[pos + 26];
+        const table = bytes.subarray(pos + 27, pos + 27 + segments);
+        let data = pos + 27 + segments;
+
+        for (let i = 0; i < segments; i++) {
+            current.push(bytes.subarray(data, data + table[i]));
+            data += table[i];
+            // A lacing value below 255 ends the packet
+            if (table[i] < 255) {
+                packets.push(current);
+                current = [];
+                if (packets.length === 2) break;
+            }
+        }
+        pos = data;
+    }
+    if (packets.length < 2) return;
+
+    const parts = packets[1];
+    const packet = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((o, p) => { packet.set(p, o); return o + p.length; }, 0);
+
+    if (ascii(packet, 1, 6) === 'vorbis') readVorbisComment(packet, 7, meta);
+    else if (ascii(packet, 0, 8) === 'OpusTags') readVorbisComment(packet, 8, meta);
+}
+
+// =====================================================
+// MP4 / M4A
+// =====================================================
+
+const MP4_FIELDS = { '©nam': 'title', '©ART': 'artist', 'aART': 'artist', '©alb': 'album' };
+
+/**
+ * Child atoms of a box body: [{ type, start, end }] (offsets into `bytes`)
+ */
+function atoms(bytes, start, end) {
+    const list = [];
+    let pos = start;
+    while (pos + 8 <= end) {
+        let size = uint32BE(bytes, pos);
+        const type = ascii(bytes, pos + 4, 4);
+        let header = 8;
+        if (size === 1) { size = uint32BE(bytes, pos + 8) * 2 ** 32 + uint32BE(bytes, pos + 12); header = 16; }
+        if (size === 0) size = end - pos;
+        if (size < header) break;
+        list.push({ type, start: pos + header, end: Math.min(end, pos + size) });
+        pos += size;
+    }
+    return list;
+}
+
+async function readMp4(file, meta) {
+    // Walk top-level atoms by their headers to find moov (often at the end)
+    let offset = 0, moov = null;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 16);
+        let size = uint32BE(header, 0);
+        const type = ascii(header, 4, 4);
+        if (size === 1) size = uint32BE(header, 8) * 2 ** 32 + uint32BE(header, 12);
+        if (size === 0) size = file.size - offset;
+        if (size < 8) return;
+        if (type === 'moov') {
+            moov = await readBytes(file, offset, size);
+            break;
+        }
+        offset += size;
+    }
+    if (!moov) return;
+
+    const find = (list, type) => list.find(a => a.type === type);
+    const udta = find(atoms(moov, 8, moov.length), 'udta');
+    const metaAtom = udta && find(atoms(moov, udta.start, udta.end), 'meta');
+    // 'meta' is a full box: 4 bytes of version / flags before its children
+    const ilst = metaAtom && find(atoms(moov, metaAtom.start + 4, metaAtom.end), 'ilst');
+    if (!ilst) return;
+
+    atoms(moov, ilst.start, ilst.end).forEach(item => {
+        const data = find(atoms(moov, item.start, item.end), 'data');
+        if (!data) return;
+        // data: 4 bytes type indicator, 4 bytes locale, then the value
+        const typeCode = uint32BE(moov, data.start) & 0xffffff;
+        const value = moov.subarray(data.start + 8, data.end);
+
+        const field = MP4_FIELDS[item.type];
+        if (field && !meta[field]) meta[field] = utf8.decode(value);
+        if (item.type === 'covr' && !meta.picture) {
+            meta.picture = new Blob([value], { type: typeCode === 14 ? 'image/png' : 'image/jpeg' });
+        }
+    });
+}
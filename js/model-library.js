@@ -0,0 +1,122 @@
+/**
+ * ModelLibrary Module
+ * Loads glTF/GLB, OBJ and STL files into a single merged BufferGeometry
+ * (positions + normals), centered and scaled to a radius, and keeps them
+ * for the session so they can be picked again like built-in shapes.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+export const MODEL_EXTENSIONS = /\.(glb|gltf|obj|stl)$/i;
+
+// Geometry ids in select-geometry / Visualizer.settings.geometry
+export const MODEL_ID_PREFIX = 'model:';
+
+export class ModelLibrary {
+    constructor() {
+        this.models = new Map();   // id -> { id, name, geometry }
+        this.nextId = 1;
+    }
+
+    has(id) {
+        return this.models.has(id);
+    }
+
+    /**
+     * A fresh copy of a cached model (callers own and dispose it)
+     */
+    getGeometry(id) {
+        return this.models.get(id)?.geometry.clone() || null;
+    }
+
+    /**
+     * Load a model file; resolves to { id, name }. The same file
+     * (name, size, date) loaded twice reuses the cached entry.
+     */
+    async load(file, radius) {
+        const existing = [...this.models.values()].find(m => m.fileKey === fileKey(file));
+        if (existing) return { id: existing.id, name: existing.name };
+
+        const object = await parseModel(file);
+        const geometry = mergeObjectGeometry(object);
+        if (!geometry) throw new Error('No meshes found in ' + file.name);
+        normalizeGeometry(geometry, radius);
+
+        const id = MODEL_ID_PREFIX + this.nextId++;
+        const name = file.name.replace(MODEL_EXTENSIONS, '');
+        this.models.set(id, { id, name, geometry, fileKey: fileKey(file) });
+        console.log(`[ModelLibrary] Loaded ${file.name}: ${geometry.attributes.position.count} vertices`);
+        return { id, name };
+    }
+
+    dispose() {
+        this.models.forEach(m => m.geometry.dispose());
+        this.models.clear();
+    }
+}
+
+const fileKey = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+/**
+ * File -> Object3D (STL yields a bare geometry, wrapped in a mesh)
+ */
+async function parseModel(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    switch (extension) {
+        case 'glb':
+        case 'gltf': {
+            // External .bin / texture references can't be resolved from a single File
+            const gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+            return gltf.scene;
+        }
+        case 'obj':
+            return new OBJLoader().parse(await file.text());
+        case 'stl':
+            return new THREE.Mesh(new STLLoader().parse(await file.arrayBuffer()));
+        default:
+            throw new Error('Unsupported model format: .' + extension);
+    }
+}
+
+/**
+ * Bake every mesh's world transform into one non-indexed geometry
+ * with only position and normal (the center materials need nothing else)
+ */
+function mergeObjectGeometry(object) {
+    object.updateMatrixWorld(true);
+    const parts = [];
+    object.traverse(child => {
+        if (!child.isMesh || !child.geometry?.attributes.position) return;
+        let geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+        Object.keys(geometry.attributes).forEach(name => {
+            if (name !== 'position' && name !== 'normal') geometry.deleteAttribute(name);
+        });
+        geometry.morphAttributes = {};
+        geometry.clearGroups();
+        geometry.applyMatrix4(child.matrixWorld);
+        if (!geometry.attributes.normal) geometry.computeVertexNormals();
+        parts.push(geometry);
+    });
+    if (!parts.length) return null;
+
+    const merged = parts.length === 1 ? parts[0] : mergeGeometries(parts);
+    if (parts.length > 1) parts.forEach(g => g.dispose());
+    return merged;
+}
+
+/**
+ * Center on the bounding box and scale the bounding sphere to `radius`
+ */
+function normalizeGeometry(geometry, radius) {
+    geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.computeBoundingSphere();
+    const scale = radius / (geometry.boundingSphere.radius || 1);
+    geometry.scale(scale, scale, scale);
+    geometry.computeBoundingSphere();
+}
@@ -0,0 +1,59 @@
+/**
+ * BandOnsetDetector Module
+ * Adaptive-threshold onset detection on a single band's energy.
+ * The onset function is the rectified rise in log energy; a hit fires
+ * when it clears the recent mean by `sensitivity` standard deviations.
+ */
+
+export class BandOnsetDetector {
+    constructor(options = {}) {
+        this.sensitivity = options.sensitivity ?? 1.5;
+        this.refractory = options.refractory ?? 0.1;   // seconds between hits
+        this.floor = options.floor ?? 0.02;            // minimum rise to count
+
+        this.history = new Float32Array(options.historySize || 43);
+        this.reset();
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.writeIndex = 0;
+        this.count = 0;
+        this.previous = 0;
+        this.lastHitTime = -Infinity;
+        this.flux = 0;
+        this.strength = 0;
+        this.isHit = false;
+    }
+
+    /**
+     * Feed the band energy (0-1) at `time` (seconds), returns true on a hit
+     */
+    update(energy, time) {
+        const value = Math.log1p(energy * 10);
+        this.flux = Math.max(0, value - this.previous);
+        this.previous = value;
+
+        // Mean and deviation of recent flux
+        let mean = 0, variance = 0;
+        for (let i = 0; i < this.count; i++) mean += this.history[i];
+        mean = this.count ? mean / this.count : 0;
+        for (let i = 0; i < this.count; i++) {
+            const d = this.history[i] - mean;
+            variance += d * d;
+        }
+        const deviation = this.count ? Math.sqrt(variance / this.count) : 0;
+        const threshold = Math.max(this.floor, mean + this.sensitivity * deviation);
+
+        this.history[this.writeIndex] = this.flux;
+        this.writeIndex = (this.writeIndex + 1) % this.history.length;
+        this.count = Math.min(this.history.length, this.count + 1);
+
+        this.isHit = this.flux > threshold && time - this.lastHitTime > this.refractory;
+        if (this.isHit) {
+            this.lastHitTime = time;
+            this.strength = Math.min(1, this.flux / (threshold * 2));
+        }
+        return this.isHit;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Palette Extractor Module
+ * Picks a few vivid, distinct colors from an image (cover art) with
+ * k-means on a downscaled copy. Colors come back as 0xRRGGBB numbers,
+ * adjusted to read well on the dark scene.
+ */
+
+const SAMPLE_SIZE = 48;
+const CLUSTERS = 6;
+const ITERATIONS = 8;
+const ACHROMATIC = 0.1;    // saturation below which a cluster counts as grey
+
+/**
+ * RGB (0-1) -> { h, s, l }
+ */
+function rgbToHsl(r, g, b) {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return { h: h / 6, s, l };
+}
+
+function hslToHex(h, s, l) {
+    const hue = (t) => {
+        t = (t + 1) % 1;
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    const to255 = (v) => Math.round(Math.max(0, Math.min(1, v)) * 255);
+    return (to255(hue(h + 1 / 3)) << 16) | (to255(hue(h)) << 8) | to255(hue(h - 1 / 3));
+}
+
+/**
+ * Palette from RGBA pixel data (Uint8ClampedArray)
+ */
+export function paletteFromPixels(data, count = 3) {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        pixels.push([data[i] / 255, data[i + 1] / 255, data[i + 2] / 255]);
+    }
+    if (!pixels.length) return [];
+
+    // k-means, seeded with evenly spaced pixels
+    const k = Math.min(CLUSTERS, pixels.length);
+    const centers = Array.from({ length: k }, (_, i) => pixels[Math.floor(i * pixels.length / k)].slice());
+    const assignment = new Int32Array(pixels.length);
+    for (let iter = 0; iter < ITERATIONS; iter++) {
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        pixels.forEach((p, i) => {
+            let best = 0, bestDist = Infinity;
+            centers.forEach((c, j) => {
+                const d = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+                if (d < bestDist) { bestDist = d; best = j; }
+            });
+            assignment[i] = best;
+            const s = sums[best];
+            s[0] += p[0]; s[1] += p[1]; s[2] += p[2]; s[3]++;
+        });
+        sums.forEach((s, j) => { if (s[3]) centers[j] = [s[0] / s[3], s[1] / s[3], s[2] / s[3]]; });
+    }
+
+    const population = new Array(k).fill(0);
+    assignment.forEach(j => population[j]++);
+
+    // Score by size and vividness; near-black / near-white clusters rank low
+    const clusters = centers.map((c, j) => {
+        const hsl = rgbToHsl(c[0], c[1], c[2]);
+        const vivid = hsl.s * (1 - Math.abs(hsl.l - 0.5) * 2);
+        return { ...hsl, score: (population[j] / pixels.length) * (0.15 + vivid) };
+    }).filter((c, j) => population[j] > 0).sort((a, b) => b.score - a.score);
+
+    // Greedy pick, penalising hues close to ones already taken
+    const picked = [];
+    const pool = clusters.slice();
+    while (picked.length < count && pool.length) {
+        pool.forEach(c => {
+            c.rank = c.score;
+            picked.forEach(p => {
+                const dh = Math.min(Math.abs(c.h - p.h), 1 - Math.abs(c.h - p.h));
+                if (dh < 0.08) c.rank *= 0.3;
+            });
+        });
+        pool.sort((a, b) => b.rank - a.rank);
+        picked.push(pool.shift());
+    }
+    // Flat art: derive the missing slots from the first color
+    while (picked.length < count) {
+        const base = picked[0];
+        picked.push({ h: (base.h + 0.12 * picked.length) % 1, s: base.s, l: base.l + 0.1 * picked.length });
+    }
+
+    // Keep colors mid-bright so they show up on black; greys stay grey
+    return picked.map(c => hslToHex(
+        c.h,
+        c.s < ACHROMATIC ? c.s : Math.max(0.45, c.s),
+        Math.min(0.7, Math.max(0.45, c.l))
+    ));
+}
+
+/**
+ * Palette from an image Blob (decoded and downscaled on a canvas)
+ */
+export async function extractPalette(blob, count = 3) {
+    const bitmap = await createImageBitmap(blob, { resizeWidth: SAMPLE_SIZE, resizeHeight: SAMPLE_SIZE });
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE)
+        : Object.assign(document.createElement('canvas'), { width: SAMPLE_SIZE, height: SAMPLE_SIZE });
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return paletteFromPixels(ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE).data, count);
+}
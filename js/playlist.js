@@ -0,0 +1,175 @@
+/**
+ * Playlist Module
+ * Track queue with reordering, shuffle and repeat.
+ * Holds File objects only — loading and crossfading is AudioAnalyzer's job.
+ */
+
+export class Playlist {
+    constructor() {
+        this.items = [];          // { id, file, name }
+        this.currentId = null;
+        this.shuffle = false;
+        this.repeat = 'off';      // 'off' | 'all' | 'one'
+        this.shuffleOrder = [];   // item ids in shuffled play order
+        this.removedAt = null;    // { items, shuffle }: where the removed current track was
+        this.nextId = 1;
+    }
+
+    get current() {
+        return this.items.find(item => item.id === this.currentId) || null;
+    }
+
+    get currentIndex() {
+        return this.items.findIndex(item => item.id === this.currentId);
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    /**
+     * Append files, returns the created items
+     */
+    add(files) {
+        const added = files.map(file => ({
+            id: this.nextId++,
+            file,
+            name: file.name
+        }));
+        this.items.push(...added);
+
+        // New tracks land at random positions after the current one
+        added.forEach(item => {
+            const start = this.currentId === null && this.removedAt
+                ? this.removedAt.shuffle
+                : this.shuffleOrder.indexOf(this.currentId) + 1;
+            const pos = start + Math.floor(Math.random() * (this.shuffleOrder.length - start + 1));
+            this.shuffleOrder.splice(pos, 0, item.id);
+        });
+
+        return added;
+    }
+
+    /**
+     * Remove the item at `index`. Removing the current track keeps its
+     * place, so next / previous carry on from there.
+     */
+    remove(index) {
+        const [item] = this.items.splice(index, 1);
+        if (!item) return null;
+        const shufflePos = this.shuffleOrder.indexOf(item.id);
+        this.shuffleOrder.splice(shufflePos, 1);
+
+        if (item.id === this.currentId) {
+            this.currentId = null;
+            this.removedAt = { items: index, shuffle: shufflePos };
+        } else if (this.removedAt) {
+            if (index < this.removedAt.items) this.removedAt.items--;
+            if (shufflePos < this.removedAt.shuffle) this.removedAt.shuffle--;
+        }
+        return item;
+    }
+
+    move(from, to) {
+        if (from === to || !this.items[from]) return;
+        const [item] = this.items.splice(from, 1);
+        const target = Math.max(0, Math.min(this.items.length, to));
+        this.items.splice(target, 0, item);
+
+        if (this.removedAt) {
+            if (from < this.removedAt.items) this.removedAt.items--;
+            if (target < this.removedAt.items) this.removedAt.items++;
+        }
+    }
+
+    clear() {
+        this.items = [];
+        this.shuffleOrder = [];
+        this.currentId = null;
+        this.removedAt = null;
+    }
+
+    /**
+     * Make the item at `index` current, returns it
+     */
+    select(index) {
+        const item = this.items[index];
+        if (item) {
+            this.currentId = item.id;
+            this.removedAt = null;
+        }
+        return item || null;
+    }
+
+    /**
+     * Index of the track that follows the current one, or -1.
+     * `auto` is true for auto-advance, where repeat 'one' replays the track.
+     */
+    getNextIndex(auto = false) {
+        if (!this.items.length) return -1;
+        if (auto && this.repeat === 'one' && this.current) return this.currentIndex;
+
+        const ids = this.getPlayOrder();
+        let next = Math.floor(this.getPlayPosition(ids)) + 1;
+        if (next >= ids.length) {
+            if (this.repeat === 'off') return -1;
+            next = 0;
+        }
+        return this.items.findIndex(item => item.id === ids[next]);
+    }
+
+    getPreviousIndex() {
+        if (!this.items.length) return -1;
+
+        const ids = this.getPlayOrder();
+        const pos = this.getPlayPosition(ids);
+        let prev = Math.ceil(pos) - 1;
+        if (prev < 0) {
+            if (this.repeat === 'off') return pos < 0 ? 0 : -1;
+            prev = ids.length - 1;
+        }
+        return this.items.findIndex(item => item.id === ids[prev]);
+    }
+
+    /**
+     * Position of the current track in `ids`; after the current track was
+     * removed, halfway between its neighbours (-1 if there is neither)
+     */
+    getPlayPosition(ids) {
+        const pos = ids.indexOf(this.currentId);
+        if (pos >= 0 || !this.removedAt) return pos;
+        return (this.shuffle ? this.removedAt.shuffle : this.removedAt.items) - 0.5;
+    }
+
+    getPlayOrder() {
+        return this.shuffle ? this.shuffleOrder : this.items.map(item => item.id);
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (!enabled) return;
+
+        // Fresh Fisher–Yates order with the current track first
+        const ids = this.items.map(item => item.id).filter(id => id !== this.currentId);
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+        this.shuffleOrder = this.currentId !== null ? [this.currentId, ...ids] : ids;
+        // A fresh order has no place for a removed track: start from the top
+        if (this.removedAt) this.removedAt.shuffle = 0;
+    }
+
+    setRepeat(mode) {
+        if (['off', 'all', 'one'].includes(mode)) this.repeat = mode;
+    }
+
+    /**
+     * Cycle repeat off → all → one → off, returns the new mode
+     */
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        return this.repeat;
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * RaymarchFractals Module
+ * Mandelbulb, Menger sponge and quaternion Julia set, raymarched in the
+ * fragment shader inside a bounding sphere at the scene center. Each hit
+ * writes its real depth (so rings and particles sort against the surface)
+ * and applies the scene fog itself; bloom picks it up like any other mesh.
+ * Bass drives the power parameter, mids the iteration count.
+ */
+
+import * as THREE from 'three';
+
+export const RAYMARCH_FRACTALS = ['mandelbulb', 'menger', 'julia'];
+
+// extent: bounding radius in fractal units; size: visual radius (for scaling)
+// power / iterations: [base, added at full bass / mids]
+//   mandelbulb power = exponent, menger power = hole size, julia power = |c| scale
+const FRACTALS = {
+    mandelbulb: { define: 'MANDELBULB', extent: 1.25, size: 1.1, power: [8, 4], iterations: [5, 4] },
+    menger: { define: 'MENGER', extent: 1.75, size: 1.3, power: [1, 0.3], iterations: [2.5, 2] },
+    julia: { define: 'JULIA', extent: 1.6, size: 1.2, power: [1, 0.15], iterations: [7, 4] }
+};
+
+const VERTEX = /* glsl */ `
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+
+    void main() {
+        // Ray from the camera, in object space
+        vOrigin = (inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+        vDirection = position - vOrigin;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const FRAGMENT = /* glsl */ `
+    #define MAX_STEPS 128
+    #define MAX_ITERATIONS 12
+    #define STEP_SCALE 0.9
+    #define MIN_EPSILON 0.0005
+    #define PIXEL_EPSILON 0.0015
+
+    uniform mat4 projectionMatrix;
+    uniform mat4 modelViewMatrix;
+    uniform mat3 normalMatrix;
+
+    uniform float uPower;
+    uniform float uIterations;
+    uniform vec4 uJuliaC;
+    uniform float uBound;
+    uniform float uGlow;
+    uniform vec3 uColorA;
+    uniform vec3 uColorB;
+
+    #ifdef USE_FOG
+        uniform vec3 fogColor;
+        #ifdef FOG_EXP2
+            uniform float fogDensity;
+        #else
+            uniform float fogNear;
+            uniform float fogFar;
+        #endif
+    #endif
+
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+
+    const vec3 LIGHT_DIR = vec3(0.37, 0.56, 0.74);
+
+    #if defined(MANDELBULB)
+    float fractalDistance(vec3 p, out float trap) {
+        vec3 z = p;
+        float dr = 1.0;
+        float r = length(z);
+        trap = r;
+        for (int i = 0; i < MAX_ITERATIONS; i++) {
+            if (float(i) >= uIterations || r > 2.0) break;
+            float theta = acos(clamp(z.y / max(r, 1e-6), -1.0, 1.0)) * uPower;
+            float phi = atan(z.z, z.x) * uPower;
+            dr = pow(r, uPower - 1.0) * uPower * dr + 1.0;
+            z = pow(r, uPower) * vec3(sin(theta) * cos(phi), cos(theta), sin(theta) * sin(phi)) + p;
+            r = length(z);
+            trap = min(trap, r);
+        }
+        return 0.5 * log(max(r, 1e-6)) * r / dr;
+    }
+    #elif defined(MENGER)
+    float fractalDistance(vec3 p, out float trap) {
+        vec3 q = abs(p) - vec3(1.0);
+        float d = length(max(q, 0.0)) + min(max(q.x, max(q.y, q.z)), 0.0);
+        float s = 1.0;
+        trap = 0.0;
+        for (int i = 0; i < MAX_ITERATIONS; i++) {
+            if (float(i) >= uIterations) break;
+            vec3 a = mod(p * s, 2.0) - 1.0;
+            s *= 3.0;
+            vec3 r = abs(1.0 - 3.0 * abs(a));
+            float c = (min(max(r.x, r.y), min(max(r.y, r.z), max(r.z, r.x))) - uPower) / s;
+            // The deepest level fades in, so rising mids carve new holes smoothly
+            float carved = mix(d, max(d, c), clamp(uIterations - float(i), 0.0, 1.0));
+            if (carved > d) trap = (float(i) + 1.0) / uIterations;
+            d = carved;
+        }
+        return d;
+    }
+    #else
+    float fractalDistance(vec3 p, out float trap) {
+        vec4 z = vec4(p, 0.0);
+        float dz2 = 1.0;
+        float z2 = dot(z, z);
+        trap = z2;
+        for (int i = 0; i < MAX_ITERATIONS; i++) {
+            if (float(i) >= uIterations || z2 > 4.0) break;
+            dz2 *= 4.0 * z2;
+            z = vec4(z.x * z.x - dot(z.yzw, z.yzw), 2.0 * z.x * z.yzw) + uJuliaC;
+            z2 = dot(z, z);
+            trap = min(trap, z2);
+        }
+        trap = sqrt(trap);
+        return 0.25 * sqrt(z2 / dz2) * log(max(z2, 1e-6));
+    }
+    #endif
+
+    vec3 fractalNormal(vec3 p, float h) {
+        float trap;
+        const vec2 k = vec2(1.0, -1.0);
+        return normalize(
+            k.xyy * fractalDistance(p + k.xyy * h, trap) +
+            k.yyx * fractalDistance(p + k.yyx * h, trap) +
+            k.yxy * fractalDistance(p + k.yxy * h, trap) +
+            k.xxx * fractalDistance(p + k.xxx * h, trap)
+        );
+    }
+
+    vec2 boundHit(vec3 ro, vec3 rd) {
+        float b = dot(ro, rd);
+        float h = b * b - dot(ro, ro) + uBound * uBound;
+        if (h < 0.0) return vec2(-1.0);
+        h = sqrt(h);
+        return vec2(-b - h, -b + h);
+    }
+
+    void main() {
+        vec3 rd = normalize(vDirection);
+        vec2 bounds = boundHit(vOrigin, rd);
+        if (bounds.y < 0.0) discard;
+
+        float t = max(bounds.x, 0.0);
+        float trap = 0.0;
+        float steps = 0.0;
+        bool hit = false;
+        for (int i = 0; i < MAX_STEPS; i++) {
+            float d = fractalDistance(vOrigin + rd * t, trap);
+            if (d < max(MIN_EPSILON, t * PIXEL_EPSILON)) { hit = true; break; }
+            t += d * STEP_SCALE;
+            steps += 1.0;
+            if (t > bounds.y) break;
+        }
+        if (!hit) discard;
+
+        vec3 p = vOrigin + rd * t;
+        vec4 viewPosition = modelViewMatrix * vec4(p, 1.0);
+        vec3 n = normalize(normalMatrix * fractalNormal(p, max(MIN_EPSILON, t * PIXEL_EPSILON)));
+        vec3 v = normalize(-viewPosition.xyz);
+
+        float diffuse = max(dot(n, LIGHT_DIR), 0.0);
+        float rim = pow(1.0 - max(dot(n, v), 0.0), 3.0);
+        // Rays that needed many steps grazed crevices: cheap ambient occlusion
+        float occlusion = 1.0 - steps / float(MAX_STEPS);
+        vec3 color = mix(uColorA, uColorB, clamp(trap, 0.0, 1.0));
+        color = color * (0.12 + 0.88 * diffuse) * occlusion + uColorA * rim * (0.5 + uGlow);
+
+        #ifdef USE_FOG
+            float fogDepth = -viewPosition.z;
+            #ifdef FOG_EXP2
+                float fogFactor = 1.0 - exp(-fogDensity * fogDensity * fogDepth * fogDepth);
+            #else
+                float fogFactor = smoothstep(fogNear, fogFar, fogDepth);
+            #endif
+            color = mix(color, fogColor, fogFactor);
+        #endif
+
+        gl_FragColor = vec4(color, 1.0);
+        vec4 clip = projectionMatrix * viewPosition;
+        gl_FragDepth = clip.z / clip.w * 0.5 + 0.5;
+    }
+`;
+
+export class RaymarchFractals {
+    constructor(colors) {
+        this.colors = colors;
+        this.time = 0;
+    }
+
+    /**
+     * Bounding mesh for one fractal, `radius` across like the other shapes.
+     * Its back faces start the rays, so the camera may sit inside it; the
+     * sphere geometry also gives shape transitions a surface to sample.
+     */
+    build(type, radius) {
+        const config = FRACTALS[type] || FRACTALS.mandelbulb;
+        const uniforms = {
+            ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+            uPower: { value: config.power[0] },
+            uIterations: { value: config.iterations[0] },
+            uJuliaC: { value: new THREE.Vector4() },
+            uBound: { value: config.extent },
+            uGlow: { value: 0 },
+            uColorA: { value: this.colors.primary },
+            uColorB: { value: this.colors.secondary }
+        };
+        const material = new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: VERTEX,
+            fragmentShader: FRAGMENT,
+            defines: { [config.define]: '' },
+            side: THREE.BackSide,
+            fog: true
+        });
+
+        const mesh = new THREE.Mesh(new THREE.IcosahedronGeometry(config.extent * 1.05, 2), material);
+        mesh.scale.setScalar(radius / config.size);
+        mesh.userData.fractal = config;
+        return mesh;
+    }
+
+    /**
+     * Drive the mesh's power / iterations from the bands
+     */
+    update(mesh, delta, { amplitude, bass, mid }) {
+        const config = mesh?.userData.fractal;
+        if (!config) return;
+        this.time += delta;
+
+        const u = mesh.material.uniforms;
+        u.uPower.value = config.power[0] + config.power[1] * bass;
+        u.uIterations.value = config.iterations[0] + config.iterations[1] * mid;
+        u.uGlow.value = amplitude;
+
+        // Slowly orbiting Julia constant, widened by the bass
+        const t = this.time * 0.15, scale = 0.45 * u.uPower.value;
+        u.uJuliaC.value.set(
+            scale * Math.cos(0.5 + t * 1.2) - 0.3,
+            scale * Math.cos(3.9 + t * 1.7),
+            scale * Math.cos(1.4 + t * 1.3),
+            scale * Math.cos(1.1 + t * 2.5)
+        );
+    }
+}
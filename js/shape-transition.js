@@ -0,0 +1,259 @@
+/**
+ * ShapeTransition Module
+ * Animated hand-over between two sets of center meshes.
+ *   morph    — both surfaces resampled to the same number of points;
+ *              the cloud flows from the old shape to the new one
+ *   dissolve — the old shape bursts into drifting particles while the new one grows
+ *   scale    — the old shape shrinks away, the new one expands in
+ *   cut      — instant swap (no transition)
+ * Optionally waits for the next beat before starting.
+ */
+
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+
+export const TRANSITION_MODES = ['cut', 'morph', 'dissolve', 'scale'];
+
+const SAMPLE_COUNT = 3000;
+const LATITUDE_BANDS = 32;
+const BEAT_WAIT_SECONDS = 1.5;   // start anyway when no beat arrives
+
+const POINTS_VERTEX_HEADER = /* glsl */ `
+    uniform float uProgress;
+    attribute vec3 aTarget;
+    attribute float aDelay;
+`;
+
+// Staggered per point so the cloud doesn't move as one rigid block
+const POINTS_VERTEX_MORPH = /* glsl */ `
+    #include <begin_vertex>
+    float pointProgress = smoothstep(0.0, 1.0, clamp(uProgress * 1.4 - aDelay * 0.4, 0.0, 1.0));
+    transformed = mix(position, aTarget, pointProgress);
+`;
+
+const easeInOut = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+const easeOutBack = (t) => 1 + 2.2 * Math.pow(t - 1, 3) + 1.2 * Math.pow(t - 1, 2);
+
+export class ShapeTransition {
+    /**
+     * group: parent of the center meshes (the cloud is added there too)
+     * color: THREE.Color for the particles (read when a transition starts)
+     * map:   sprite texture for the particles
+     */
+    constructor(group, { color, map } = {}) {
+        this.group = group;
+        this.color = color;
+        this.map = map;
+        this.settings = { mode: 'morph', duration: 1.2, beatAligned: false };
+
+        this.active = false;
+        this.pending = false;
+        this.waited = 0;
+        this.elapsed = 0;
+        this.outgoing = [];
+        this.incoming = [];
+        this.points = null;
+    }
+
+    /**
+     * Hand over from `outgoing` to `incoming` meshes (both already in the group).
+     * The outgoing meshes are disposed when the transition ends.
+     */
+    begin(outgoing, incoming) {
+        this.finish();
+        this.outgoing = outgoing;
+        this.incoming = incoming;
+        [...outgoing, ...incoming].forEach(obj => {
+            obj.userData.baseScale = obj.scale.x;
+            obj.userData.baseVisible = obj.visible;
+        });
+
+        // New shape stays hidden until the transition starts
+        incoming.forEach(obj => { obj.visible = false; });
+
+        if (this.settings.beatAligned) {
+            this.pending = true;
+            this.waited = 0;
+        } else {
+            this.start();
+        }
+    }
+
+    onBeat() {
+        if (this.pending) this.start();
+    }
+
+    start() {
+        this.pending = false;
+        this.active = true;
+        this.elapsed = 0;
+
+        const mode = this.settings.mode;
+        if (mode === 'morph' || mode === 'dissolve') {
+            this.outgoing.forEach(obj => { obj.visible = false; });
+            const source = samplePoints(this.outgoing[0], SAMPLE_COUNT);
+            const target = mode === 'morph'
+                ? samplePoints(this.incoming[0], SAMPLE_COUNT)
+                : scatter(source);
+            this.createPoints(source, target);
+        }
+    }
+
+    update(delta) {
+        if (this.pending) {
+            this.waited += delta;
+            if (this.waited >= BEAT_WAIT_SECONDS) this.start();
+            return;
+        }
+        if (!this.active) return;
+
+        this.elapsed += delta;
+        const t = Math.min(1, this.elapsed / Math.max(0.05, this.settings.duration));
+
+        switch (this.settings.mode) {
+            case 'morph':
+                this.points.material.userData.uniforms.uProgress.value = easeInOut(t);
+                // The real meshes take over at the end as the cloud fades
+                this.setIncoming(t > 0.8, 0.85 + 0.15 * easeInOut(Math.max(0, (t - 0.8) / 0.2)));
+                this.points.material.opacity = t > 0.8 ? 1 - (t - 0.8) / 0.2 : 1;
+                break;
+
+            case 'dissolve':
+                this.points.material.userData.uniforms.uProgress.value = t;
+                this.points.material.opacity = 1 - t;
+                this.setIncoming(t > 0.3, easeOutBack(Math.max(0, (t - 0.3) / 0.7)));
+                break;
+
+            case 'scale':
+                if (t < 0.5) {
+                    const shrink = 1 - easeInOut(t * 2);
+                    this.outgoing.forEach(obj => obj.scale.setScalar(obj.userData.baseScale * Math.max(0.001, shrink)));
+                } else {
+                    this.outgoing.forEach(obj => { obj.visible = false; });
+                    this.setIncoming(true, easeOutBack((t - 0.5) * 2));
+                }
+                break;
+        }
+
+        if (t >= 1) this.finish();
+    }
+
+    setIncoming(visible, scale) {
+        this.incoming.forEach(obj => {
+            obj.visible = visible && obj.userData.baseVisible;
+            obj.scale.setScalar(obj.userData.baseScale * Math.max(0.001, scale));
+        });
+    }
+
+    /**
+     * Jump to the end: dispose the old shape, show the new one at full size
+     */
+    finish() {
+        this.outgoing.forEach(obj => {
+            obj.parent?.remove(obj);
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+        });
+        this.incoming.forEach(obj => {
+            obj.visible = obj.userData.baseVisible ?? true;
+            if (obj.userData.baseScale !== undefined) obj.scale.setScalar(obj.userData.baseScale);
+        });
+        if (this.points) {
+            this.group.remove(this.points);
+            this.points.geometry.dispose();
+            this.points.material.dispose();
+            this.points = null;
+        }
+        this.outgoing = [];
+        this.incoming = [];
+        this.active = false;
+        this.pending = false;
+    }
+
+    createPoints(source, target) {
+        const geometry = new THREE.BufferGeometry();
+        const delays = new Float32Array(source.length / 3);
+        for (let i = 0; i < delays.length; i++) delays[i] = Math.random();
+        geometry.setAttribute('position', new THREE.BufferAttribute(source, 3));
+        geometry.setAttribute('aTarget', new THREE.BufferAttribute(target, 3));
+        geometry.setAttribute('aDelay', new THREE.BufferAttribute(delays, 1));
+
+        const material = new THREE.PointsMaterial({
+            color: this.color, map: this.map, size: 0.35,
+            transparent: true, depthWrite: false, blending: THREE.AdditiveBlending
+        });
+        const uniforms = { uProgress: { value: 0 } };
+        material.userData.uniforms = uniforms;
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = POINTS_VERTEX_HEADER + shader.vertexShader.replace('#include <begin_vertex>', POINTS_VERTEX_MORPH);
+        };
+        material.customProgramCacheKey = () => 'shape-transition';
+
+        this.points = new THREE.Points(geometry, material);
+        // Sit at the same scale as the shapes' main mesh
+        this.points.scale.setScalar(this.outgoing[0]?.userData.baseScale ?? 1);
+        this.group.add(this.points);
+    }
+}
+
+// =====================================================
+// SAMPLING
+// =====================================================
+
+/**
+ * `count` points on a mesh surface (or among a point cloud's vertices),
+ * ordered by latitude band then longitude so two samplings of different
+ * shapes pair up neighbouring points
+ */
+function samplePoints(object, count) {
+    const out = new Float32Array(count * 3);
+    const p = new THREE.Vector3();
+
+    if (object?.isMesh) {
+        const sampler = new MeshSurfaceSampler(object).build();
+        for (let i = 0; i < count; i++) {
+            sampler.sample(p);
+            p.toArray(out, i * 3);
+        }
+    } else if (object?.geometry) {
+        const position = object.geometry.attributes.position;
+        for (let i = 0; i < count; i++) {
+            p.fromBufferAttribute(position, Math.floor(Math.random() * position.count));
+            p.toArray(out, i * 3);
+        }
+    }
+    return sortSpherical(out);
+}
+
+function sortSpherical(positions) {
+    const count = positions.length / 3;
+    const keys = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+        const r = Math.hypot(x, y, z) || 1;
+        const band = Math.min(LATITUDE_BANDS - 1, Math.floor(Math.acos(Math.max(-1, Math.min(1, y / r))) / Math.PI * LATITUDE_BANDS));
+        let angle = (Math.atan2(z, x) + Math.PI) / (2 * Math.PI);
+        // Serpentine rows keep band ends adjacent
+        if (band % 2) angle = 1 - angle;
+        keys[i] = band + angle * 0.999;
+    }
+    const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+    const sorted = new Float32Array(positions.length);
+    order.forEach((from, to) => sorted.set(positions.subarray(from * 3, from * 3 + 3), to * 3));
+    return sorted;
+}
+
+/**
+ * Dissolve targets: each point flung outward with some sideways drift
+ */
+function scatter(source) {
+    const out = new Float32Array(source.length);
+    for (let i = 0; i < source.length; i += 3) {
+        const push = 1.6 + Math.random() * 1.2;
+        out[i] = source[i] * push + (Math.random() - 0.5) * 3;
+        out[i + 1] = source[i + 1] * push + Math.random() * 2;
+        out[i + 2] = source[i + 2] * push + (Math.random() - 0.5) * 3;
+    }
+    return out;
+}
@@ -0,0 +1,222 @@
+/**
+ * SignalGenerator Module
+ * Synthetic test signals for calibrating bands and beat detection.
+ * A steady tone uses an OscillatorNode; everything else is rendered once
+ * into a looping AudioBuffer (cached per setting).
+ */
+
+export const GENERATOR_TYPES = ['tone', 'sweep', 'white', 'pink', 'click', 'drums'];
+
+const NOISE_SECONDS = 4;
+const SWEEP_MIN_HZ = 20;
+const SWEEP_MAX_HZ = 20000;
+
+export class SignalGenerator {
+    constructor(audioContext) {
+        this.context = audioContext;
+        this.output = audioContext.createGain();
+        this.source = null;
+        this.type = null;
+        this.options = {
+            frequency: 440,     // tone (Hz)
+            sweepSeconds: 10,   // one log sweep 20 Hz - 20 kHz
+            bpm: 120,           // click / drums
+            level: 0.5
+        };
+        this.output.gain.value = this.options.level;
+        this.buffers = new Map();
+    }
+
+    get isRunning() {
+        return !!this.source;
+    }
+
+    /**
+     * Start (or switch to) a signal type
+     */
+    start(type, options = {}) {
+        if (!GENERATOR_TYPES.includes(type)) throw new RangeError(`Unknown generator signal: ${type}`);
+        Object.assign(this.options, options);
+        this.stop();
+
+        if (type === 'tone') {
+            const osc = this.context.createOscillator();
+            osc.frequency.value = this.options.frequency;
+            this.source = osc;
+        } else {
+            const source = this.context.createBufferSource();
+            source.buffer = this.getBuffer(type);
+            source.loop = true;
+            this.source = source;
+        }
+
+        this.type = type;
+        this.output.gain.setValueAtTime(this.options.level, this.context.currentTime);
+        this.source.connect(this.output);
+        this.source.start();
+    }
+
+    stop() {
+        if (!this.source) return;
+        this.source.stop();
+        this.source.disconnect();
+        this.source = null;
+    }
+
+    /**
+     * Update options; level and tone frequency glide, the rest restart the signal
+     */
+    setOptions(options) {
+        const previous = { ...this.options };
+        Object.assign(this.options, options);
+        if (!this.source) return;
+
+        const now = this.context.currentTime;
+        this.output.gain.setTargetAtTime(this.options.level, now, 0.02);
+        if (this.type === 'tone') {
+            this.source.frequency.setTargetAtTime(this.options.frequency, now, 0.02);
+        } else if (previous.bpm !== this.options.bpm || previous.sweepSeconds !== this.options.sweepSeconds) {
+            this.start(this.type);
+        }
+    }
+
+    getBuffer(type) {
+        const { bpm, sweepSeconds } = this.options;
+        const key = type === 'sweep' ? `sweep|${sweepSeconds}` : (type === 'click' || type === 'drums') ? `${type}|${bpm}` : type;
+        if (!this.buffers.has(key)) this.buffers.set(key, this.createBuffer(type));
+        return this.buffers.get(key);
+    }
+
+    createBuffer(type) {
+        const rate = this.context.sampleRate;
+        const barSeconds = 4 * 60 / this.options.bpm;
+        const seconds = type === 'sweep' ? this.options.sweepSeconds
+            : (type === 'click' || type === 'drums') ? barSeconds
+            : NOISE_SECONDS;
+        const buffer = this.context.createBuffer(1, Math.round(seconds * rate), rate);
+        const data = buffer.getChannelData(0);
+
+        switch (type) {
+            case 'sweep': renderSweep(data, rate); break;
+            case 'white': renderWhiteNoise(data); break;
+            case 'pink': renderPinkNoise(data); break;
+            case 'click': renderClicks(data, rate, this.options.bpm); break;
+            case 'drums': renderDrums(data, rate, this.options.bpm); break;
+        }
+        return buffer;
+    }
+
+    destroy() {
+        this.stop();
+        this.output.disconnect();
+        this.buffers.clear();
+    }
+}
+
+// =====================================================
+// RENDERERS
+// =====================================================
+
+/**
+ * Exponential sine sweep, phase-continuous, with short fades so the loop doesn't click
+ */
+function renderSweep(data, rate) {
+    const duration = data.length / rate;
+    const k = Math.log(SWEEP_MAX_HZ / SWEEP_MIN_HZ);
+    const fade = Math.round(rate * 0.05);
+    for (let i = 0; i < data.length; i++) {
+        const t = i / rate;
+        const phase = 2 * Math.PI * SWEEP_MIN_HZ * duration / k * (Math.exp(t / duration * k) - 1);
+        const edge = Math.min(1, i / fade, (data.length - i) / fade);
+        data[i] = Math.sin(phase) * 0.8 * edge;
+    }
+}
+
+function renderWhiteNoise(data) {
+    for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * 0.5;
+}
+
+/**
+ * Pink noise (-3 dB/octave), Paul Kellett's refined filter
+ */
+function renderPinkNoise(data) {
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const white = Math.random() * 2 - 1;
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+        b6 = white * 0.115926;
+    }
+}
+
+/**
+ * One bar of metronome clicks, accented downbeat
+ */
+function renderClicks(data, rate, bpm) {
+    const beat = 60 / bpm;
+    const length = Math.round(rate * 0.03);
+    for (let b = 0; b < 4; b++) {
+        const start = Math.round(b * beat * rate);
+        const freq = b === 0 ? 1500 : 1000;
+        for (let i = 0; i < length && start + i < data.length; i++) {
+            const t = i / rate;
+            data[start + i] += Math.sin(2 * Math.PI * freq * t) * Math.exp(-t * 150) * 0.9;
+        }
+    }
+}
+
+/**
+ * One bar of a kick / snare / hi-hat pattern: kick on 1 and 3,
+ * snare on 2 and 4, closed hats on eighths
+ */
+function renderDrums(data, rate, bpm) {
+    const beat = 60 / bpm;
+    const at = (beats) => Math.round(beats * beat * rate);
+
+    [0, 2].forEach(b => addKick(data, rate, at(b)));
+    [1, 3].forEach(b => addSnare(data, rate, at(b)));
+    for (let e = 0; e < 8; e++) addHat(data, rate, at(e / 2), e % 2 ? 0.15 : 0.25);
+}
+
+function addKick(data, rate, start) {
+    const length = Math.round(rate * 0.4);
+    let phase = 0;
+    for (let i = 0; i < length && start + i < data.length; i++) {
+        const t = i / rate;
+        // Pitch drops from 150 Hz to ~45 Hz
+        const freq = 45 + 105 * Math.exp(-t * 30);
+        phase += 2 * Math.PI * freq / rate;
+        data[start + i] += Math.sin(phase) * Math.exp(-t * 8) * 0.9;
+    }
+}
+
+function addSnare(data, rate, start) {
+    const length = Math.round(rate * 0.25);
+    let previous = 0;
+    for (let i = 0; i < length && start + i < data.length; i++) {
+        const t = i / rate;
+        // First difference tilts the noise toward the crack
+        const white = Math.random() * 2 - 1;
+        const noise = white - previous * 0.5;
+        previous = white;
+        const body = Math.sin(2 * Math.PI * 185 * t) * Math.exp(-t * 25);
+        data[start + i] += (noise * Math.exp(-t * 18) * 0.45 + body * 0.35);
+    }
+}
+
+function addHat(data, rate, start, level) {
+    const length = Math.round(rate * 0.05);
+    let previous = 0;
+    for (let i = 0; i < length && start + i < data.length; i++) {
+        const t = i / rate;
+        // Differenced noise is mostly above a few kHz
+        const white = Math.random() * 2 - 1;
+        data[start + i] += (white - previous) * Math.exp(-t * 90) * level;
+        previous = white;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * SpectrumDisplacement Module
+ * Pushes center-geometry vertices outward by the spectrum level at their
+ * latitude (bass at the bottom, treble at the top) plus drifting noise.
+ * Done in the vertex shader via onBeforeCompile, so detail level doesn't
+ * matter; the spectrum reaches the GPU as a small 1D texture.
+ */
+
+import * as THREE from 'three';
+
+const SPECTRUM_SIZE = 128;
+
+// Bins are picked log-spaced so each octave gets similar height on the shape
+const MIN_BIN = 1;
+const MAX_BIN_FRACTION = 0.75;   // top quarter of the FFT is mostly empty
+
+const VERTEX_HEADER = /* glsl */ `
+    uniform sampler2D uSpectrum;
+    uniform float uDisplace;
+    uniform float uDisplaceTime;
+    attribute vec3 aDisplaceDir;
+
+    float displaceHash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float displaceNoise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(displaceHash(i), displaceHash(i + vec3(1, 0, 0)), f.x),
+                mix(displaceHash(i + vec3(0, 1, 0)), displaceHash(i + vec3(1, 1, 0)), f.x), f.y),
+            mix(mix(displaceHash(i + vec3(0, 0, 1)), displaceHash(i + vec3(1, 0, 1)), f.x),
+                mix(displaceHash(i + vec3(0, 1, 1)), displaceHash(i + vec3(1, 1, 1)), f.x), f.y),
+            f.z);
+    }
+`;
+
+const VERTEX_DISPLACE = /* glsl */ `
+    #include <begin_vertex>
+    if (uDisplace > 0.0) {
+        float radius = length(position);
+        float latitude = radius > 0.0 ? asin(clamp(position.y / radius, -1.0, 1.0)) / 3.14159265 + 0.5 : 0.5;
+        float level = texture2D(uSpectrum, vec2(latitude, 0.5)).r;
+        float noise = displaceNoise(position * 0.6 + uDisplaceTime * 0.5) - 0.5;
+        transformed += aDisplaceDir * uDisplace * radius * (level * 0.35 + noise * (0.06 + level * 0.15));
+    }
+`;
+
+export class SpectrumDisplacement {
+    constructor() {
+        this.levels = new Float32Array(SPECTRUM_SIZE);
+        this.texels = new Uint8Array(SPECTRUM_SIZE);
+        this.texture = new THREE.DataTexture(this.texels, SPECTRUM_SIZE, 1, THREE.RedFormat, THREE.UnsignedByteType);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.wrapS = THREE.ClampToEdgeWrapping;
+        this.texture.needsUpdate = true;
+
+        // Shared by every patched material, so one update drives them all
+        this.uniforms = {
+            uSpectrum: { value: this.texture },
+            uDisplace: { value: 0 },
+            uDisplaceTime: { value: 0 }
+        };
+        this.binMap = null;
+    }
+
+    /**
+     * Per-vertex push direction: the normal averaged over every vertex at the
+     * same position, so hard-edged (non-indexed) shapes don't tear apart
+     */
+    prepareGeometry(geometry) {
+        if (!geometry.attributes.normal) geometry.computeVertexNormals();
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const sums = new Map();
+        const keys = new Array(position.count);
+
+        for (let i = 0; i < position.count; i++) {
+            const key = `${position.getX(i).toFixed(4)},${position.getY(i).toFixed(4)},${position.getZ(i).toFixed(4)}`;
+            keys[i] = key;
+            const sum = sums.get(key) || sums.set(key, new THREE.Vector3()).get(key);
+            sum.x += normal.getX(i);
+            sum.y += normal.getY(i);
+            sum.z += normal.getZ(i);
+        }
+
+        const dirs = new Float32Array(position.count * 3);
+        const dir = new THREE.Vector3();
+        for (let i = 0; i < position.count; i++) {
+            dir.copy(sums.get(keys[i]));
+            // Opposing faces cancel out (thin shells); fall back to radial
+            if (dir.lengthSq() < 1e-6) dir.fromBufferAttribute(position, i);
+            dir.normalize();
+            dirs[i * 3] = dir.x;
+            dirs[i * 3 + 1] = dir.y;
+            dirs[i * 3 + 2] = dir.z;
+        }
+        geometry.setAttribute('aDisplaceDir', new THREE.BufferAttribute(dirs, 3));
+        return geometry;
+    }
+
+    /**
+     * Inject the displacement into a built-in material's vertex shader
+     */
+    patch(material) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            shader.vertexShader = VERTEX_HEADER + shader.vertexShader.replace('#include <begin_vertex>', VERTEX_DISPLACE);
+        };
+        material.customProgramCacheKey = () => 'spectrum-displacement';
+        return material;
+    }
+
+    /**
+     * Resample the analyser spectrum (0-1 per bin) and upload it.
+     * `amount` 0 turns the displacement off.
+     */
+    update(frequencies, delta, amount) {
+        this.uniforms.uDisplaceTime.value += delta;
+        // Ease the strength so toggling doesn't pop
+        const uniform = this.uniforms.uDisplace;
+        uniform.value += (amount - uniform.value) * Math.min(1, delta * 6);
+        if (uniform.value < 0.001 && amount === 0) {
+            uniform.value = 0;
+            return;
+        }
+        if (!frequencies?.length) return;
+
+        if (!this.binMap || this.binMap.bins !== frequencies.length) this.buildBinMap(frequencies.length);
+        const { start, end } = this.binMap;
+        for (let i = 0; i < SPECTRUM_SIZE; i++) {
+            let peak = 0;
+            for (let b = start[i]; b < end[i]; b++) peak = Math.max(peak, frequencies[b]);
+            // Fast attack, slower release
+            const level = this.levels[i];
+            this.levels[i] = peak > level ? level + (peak - level) * 0.6 : level + (peak - level) * 0.15;
+            this.texels[i] = Math.round(this.levels[i] * 255);
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    buildBinMap(bins) {
+        const maxBin = Math.max(MIN_BIN + 1, Math.floor(bins * MAX_BIN_FRACTION));
+        const start = new Uint16Array(SPECTRUM_SIZE);
+        const end = new Uint16Array(SPECTRUM_SIZE);
+        for (let i = 0; i < SPECTRUM_SIZE; i++) {
+            const from = MIN_BIN * Math.pow(maxBin / MIN_BIN, i / SPECTRUM_SIZE);
+            const to = MIN_BIN * Math.pow(maxBin / MIN_BIN, (i + 1) / SPECTRUM_SIZE);
+            start[i] = Math.floor(from);
+            end[i] = Math.max(start[i] + 1, Math.floor(to));
+        }
+        this.binMap = { bins, start, end };
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * SpectrumRing Module
+ * Radial spectrum analyzer for the rings slot: instanced bars around the
+ * center, one per log-spaced band (low end at the top), with optional
+ * left/right mirroring and falling peak-hold caps. Colors come from the
+ * visualizer's palette gradient, by band position or by bar level.
+ */
+
+import * as THREE from 'three';
+
+// Same log spacing idea as SpectrumDisplacement: each octave gets similar room
+const MIN_BIN = 1;
+const MAX_BIN_FRACTION = 0.75;
+
+const MIN_HEIGHT = 0.04;     // relative to the bar length, so silent bars stay visible
+const CAP_HEIGHT = 0.05;
+const PEAK_HOLD = 0.5;       // seconds a cap waits before falling
+const PEAK_GRAVITY = 2.5;    // level units per second²
+
+export class SpectrumRing {
+    /**
+     * radius:   inner radius where the bars start
+     * length:   bar length at full level
+     * bars:     bar count
+     * gradient: (t, target) => THREE.Color, the palette gradient
+     */
+    constructor({ radius, length, bars, gradient }) {
+        this.radius = radius;
+        this.length = length;
+        this.bars = bars;
+        this.gradient = gradient;
+
+        this.group = new THREE.Group();
+        this.group.userData = { type: 'spectrum' };
+
+        const width = (2 * Math.PI * radius / bars) * 0.6;
+        const barGeometry = new THREE.BoxGeometry(width, 1, width);
+        barGeometry.translate(0, 0.5, 0);   // grow outward from the base
+        this.barMesh = new THREE.InstancedMesh(barGeometry, new THREE.MeshBasicMaterial({
+            transparent: true, opacity: 0.9
+        }), bars);
+        this.capMesh = new THREE.InstancedMesh(new THREE.BoxGeometry(width, length * CAP_HEIGHT, width), new THREE.MeshBasicMaterial({
+            transparent: true, opacity: 0.95
+        }), bars);
+        [this.barMesh, this.capMesh].forEach(mesh => {
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.frustumCulled = false;
+            this.group.add(mesh);
+        });
+
+        // Per band (sized for the unmirrored case)
+        this.levels = new Float32Array(bars);
+        this.peaks = new Float32Array(bars);
+        this.peakHold = new Float32Array(bars);
+        this.peakSpeed = new Float32Array(bars);
+        this.binMap = null;
+
+        this._matrix = new THREE.Matrix4();
+        this._position = new THREE.Vector3();
+        this._rotation = new THREE.Quaternion();
+        this._scale = new THREE.Vector3();
+        this._axis = new THREE.Vector3(0, 0, 1);
+        this._color = new THREE.Color();
+    }
+
+    /**
+     * frequencies: analyser spectrum (0-1 per bin)
+     * mirror:   left half reflects the right, so each band shows twice
+     * peaks:    show peak-hold caps
+     * gradient: 'frequency' (color by band) or 'level' (color by height)
+     */
+    update(frequencies, delta, { mirror, peaks, gradient }) {
+        if (!frequencies?.length) return;
+        const bands = mirror ? Math.ceil(this.bars / 2) : this.bars;
+        if (!this.binMap || this.binMap.bins !== frequencies.length || this.binMap.bands !== bands) {
+            this.buildBinMap(frequencies.length, bands);
+        }
+
+        const { start, end } = this.binMap;
+        for (let b = 0; b < bands; b++) {
+            let peak = 0;
+            for (let i = start[b]; i < end[b]; i++) peak = Math.max(peak, frequencies[i]);
+            // Fast attack, slower release
+            const level = this.levels[b];
+            this.levels[b] = peak > level ? level + (peak - level) * 0.6 : level + (peak - level) * 0.2;
+            this.updatePeak(b, delta);
+        }
+
+        this.capMesh.visible = peaks;
+        for (let i = 0; i < this.bars; i++) {
+            const band = mirror && i >= bands ? this.bars - 1 - i : i;
+            const level = this.levels[band];
+            // Bar 0 at the top, going clockwise; mirrored bars pair up across the vertical
+            const angle = Math.PI / 2 - ((i + 0.5) / this.bars) * Math.PI * 2;
+            const height = this.length * (MIN_HEIGHT + level * (1 - MIN_HEIGHT));
+
+            this._rotation.setFromAxisAngle(this._axis, angle - Math.PI / 2);
+            this._position.set(Math.cos(angle) * this.radius, Math.sin(angle) * this.radius, 0);
+            this.barMesh.setMatrixAt(i, this._matrix.compose(this._position, this._rotation, this._scale.set(1, height, 1)));
+
+            const t = gradient === 'level' ? level : band / Math.max(bands - 1, 1);
+            this.gradient(t, this._color).offsetHSL(0, 0, level * 0.15);
+            this.barMesh.setColorAt(i, this._color);
+
+            if (peaks) {
+                const capRadius = this.radius + this.length * (MIN_HEIGHT + this.peaks[band] * (1 - MIN_HEIGHT) + CAP_HEIGHT);
+                this._position.set(Math.cos(angle) * capRadius, Math.sin(angle) * capRadius, 0);
+                this.capMesh.setMatrixAt(i, this._matrix.compose(this._position, this._rotation, this._scale.set(1, 1, 1)));
+                this.capMesh.setColorAt(i, this._color.offsetHSL(0, 0, 0.2));
+            }
+        }
+
+        this.barMesh.instanceMatrix.needsUpdate = true;
+        this.barMesh.instanceColor.needsUpdate = true;
+        if (peaks) {
+            this.capMesh.instanceMatrix.needsUpdate = true;
+            this.capMesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Caps jump to new highs, hold, then fall with gravity
+     */
+    updatePeak(band, delta) {
+        const level = this.levels[band];
+        if (level >= this.peaks[band]) {
+            this.peaks[band] = level;
+            this.peakHold[band] = PEAK_HOLD;
+            this.peakSpeed[band] = 0;
+        } else if (this.peakHold[band] > 0) {
+            this.peakHold[band] -= delta;
+        } else {
+            this.peakSpeed[band] += PEAK_GRAVITY * delta;
+            this.peaks[band] = Math.max(level, this.peaks[band] - this.peakSpeed[band] * delta);
+        }
+    }
+
+    buildBinMap(bins, bands) {
+        const maxBin = Math.max(MIN_BIN + 1, Math.floor(bins * MAX_BIN_FRACTION));
+        const start = new Uint16Array(bands);
+        const end = new Uint16Array(bands);
+        for (let b = 0; b < bands; b++) {
+            start[b] = Math.floor(MIN_BIN * Math.pow(maxBin / MIN_BIN, b / bands));
+            end[b] = Math.max(start[b] + 1, Math.floor(MIN_BIN * Math.pow(maxBin / MIN_BIN, (b + 1) / bands)));
+        }
+        this.binMap = { bins, bands, start, end };
+    }
+
+    dispose() {
+        [this.barMesh, this.capMesh].forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            mesh.dispose();
+        });
+    }
+}
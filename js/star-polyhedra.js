@@ -0,0 +1,216 @@
+/**
+ * StarPolyhedra Module
+ * Stellations and compounds built from their face planes. The faces of
+ * these solids pass through each other, so only the outer surface is kept:
+ * every face is cut along the other face planes, and a piece survives when
+ * the space on one side of it is outside the solid (winding number 0).
+ */
+
+import * as THREE from 'three';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const EPSILON = 1e-6;
+const PROBE = 1e-3;        // offset of the inside/outside test points
+const OUTER_RADIUS = 1.25; // spike tips, relative to the base scale
+
+// =====================================================
+// SOLIDS
+// =====================================================
+
+/**
+ * Compound of two tetrahedra (the only stellation of the octahedron)
+ */
+export function createStellaOctangula(size, detail) {
+    const corners = [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]];
+    const faces = [];
+    [1, -1].forEach(sign => {
+        const v = corners.map(c => c.map(x => x * sign));
+        faces.push([v[0], v[1], v[2]], [v[0], v[1], v[3]], [v[0], v[2], v[3]], [v[1], v[2], v[3]]);
+    });
+    return buildStarGeometry(faces, size, detail);
+}
+
+/**
+ * Twelve pentagrams, one in the plane of each vertex's five icosahedron
+ * neighbours (entered as fans so the star's winding is right)
+ */
+export function createSmallStellatedDodecahedron(size, detail) {
+    const vertices = icosahedronVertices();
+    const faces = [];
+    vertices.forEach(apex => {
+        const ring = sortAround(apex, vertices.filter(v => Math.abs(distance(v, apex) - 2) < EPSILON));
+        const center = scale(add(add(add(ring[0], ring[1]), add(ring[2], ring[3])), ring[4]), 1 / 5);
+        for (let i = 0; i < 5; i++) faces.push([center, ring[i], ring[(i + 2) % 5]]);
+    });
+    return buildStarGeometry(faces, size, detail);
+}
+
+/**
+ * Twenty triangles joining icosahedron vertices that are second neighbours
+ */
+export function createGreatIcosahedron(size, detail) {
+    const vertices = icosahedronVertices();
+    const far = (a, b) => Math.abs(distance(a, b) - 2 * PHI) < EPSILON;
+    const faces = [];
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (!far(vertices[i], vertices[j])) continue;
+            for (let k = j + 1; k < vertices.length; k++) {
+                if (far(vertices[i], vertices[k]) && far(vertices[j], vertices[k])) {
+                    faces.push([vertices[i], vertices[j], vertices[k]]);
+                }
+            }
+        }
+    }
+    return buildStarGeometry(faces, size, detail);
+}
+
+function icosahedronVertices() {
+    const vertices = [];
+    [-1, 1].forEach(a => [-PHI, PHI].forEach(b => {
+        vertices.push([0, a, b], [a, b, 0], [b, 0, a]);
+    }));
+    return vertices;
+}
+
+// =====================================================
+// OUTER SURFACE
+// =====================================================
+
+/**
+ * Faces (triangles, any orientation) -> flat-shaded BufferGeometry of the
+ * visible surface, scaled so the tips reach OUTER_RADIUS * size. `detail`
+ * subdivides each piece so displacement and morphing have vertices to use.
+ */
+function buildStarGeometry(faces, size, detail) {
+    const triangles = faces.map(orientOutward);
+    const planes = uniquePlanes(triangles);
+    const pieces = [];
+
+    triangles.forEach(triangle => {
+        const { normal, offset } = planeOf(triangle);
+        let cells = [triangle];
+        planes.forEach(plane => {
+            if (dot(plane.normal, normal) > 1 - EPSILON && Math.abs(plane.offset - offset) < EPSILON) return;
+            cells = cells.flatMap(cell => splitPolygon(cell, plane));
+        });
+
+        cells.forEach(cell => {
+            const center = scale(cell.reduce(add, [0, 0, 0]), 1 / cell.length);
+            const outside = winding(add(center, scale(normal, PROBE)), triangles) === 0;
+            const inside = winding(add(center, scale(normal, -PROBE)), triangles) !== 0;
+            if (outside && inside) pieces.push(cell);
+        });
+    });
+
+    const radius = Math.max(...triangles.flat().map(length));
+    const factor = size * OUTER_RADIUS / radius;
+    const positions = [];
+    pieces.forEach(cell => {
+        for (let i = 1; i < cell.length - 1; i++) {
+            subdivide(cell[0], cell[i], cell[i + 1], Math.max(1, detail), positions);
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions.map(x => x * factor), 3));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Wind each face so its normal points away from the center (no face plane
+ * of these solids passes through the origin)
+ */
+function orientOutward([a, b, c]) {
+    const normal = cross(sub(b, a), sub(c, a));
+    return dot(normal, add(add(a, b), c)) >= 0 ? [a, b, c] : [a, c, b];
+}
+
+function planeOf([a, b, c]) {
+    const normal = normalize(cross(sub(b, a), sub(c, a)));
+    return { normal, offset: dot(normal, a) };
+}
+
+function uniquePlanes(triangles) {
+    const planes = [];
+    triangles.forEach(triangle => {
+        const plane = planeOf(triangle);
+        const duplicate = planes.some(p => dot(p.normal, plane.normal) > 1 - EPSILON && Math.abs(p.offset - plane.offset) < EPSILON);
+        if (!duplicate) planes.push(plane);
+    });
+    return planes;
+}
+
+/**
+ * Convex polygon -> the parts on either side of a plane (degenerate slivers dropped)
+ */
+function splitPolygon(polygon, { normal, offset }) {
+    const distances = polygon.map(p => dot(normal, p) - offset);
+    if (distances.every(d => d > -EPSILON) || distances.every(d => d < EPSILON)) return [polygon];
+
+    const front = [], back = [];
+    polygon.forEach((p, i) => {
+        const j = (i + 1) % polygon.length;
+        const d = distances[i], dNext = distances[j];
+        if (d >= -EPSILON) front.push(p);
+        if (d <= EPSILON) back.push(p);
+        if ((d > EPSILON && dNext < -EPSILON) || (d < -EPSILON && dNext > EPSILON)) {
+            const point = add(p, scale(sub(polygon[j], p), d / (d - dNext)));
+            front.push(point);
+            back.push(point);
+        }
+    });
+    return [front, back].filter(part => part.length >= 3 && polygonArea(part) > EPSILON);
+}
+
+/**
+ * How many times the surface wraps around a point: the summed solid angle
+ * of every (outward-wound) triangle over 4π
+ */
+function winding(point, triangles) {
+    let total = 0;
+    triangles.forEach(([a, b, c]) => {
+        const pa = sub(a, point), pb = sub(b, point), pc = sub(c, point);
+        const la = length(pa), lb = length(pb), lc = length(pc);
+        const numerator = dot(pa, cross(pb, pc));
+        const denominator = la * lb * lc + dot(pa, pb) * lc + dot(pa, pc) * lb + dot(pb, pc) * la;
+        total += 2 * Math.atan2(numerator, denominator);
+    });
+    return Math.round(total / (4 * Math.PI));
+}
+
+function subdivide(a, b, c, steps, out) {
+    const point = (i, j) => add(a, add(scale(sub(b, a), i / steps), scale(sub(c, a), j / steps)));
+    for (let i = 0; i < steps; i++) {
+        for (let j = 0; j < steps - i; j++) {
+            out.push(...point(i, j), ...point(i + 1, j), ...point(i, j + 1));
+            if (j < steps - i - 1) out.push(...point(i + 1, j), ...point(i + 1, j + 1), ...point(i, j + 1));
+        }
+    }
+}
+
+function sortAround(axis, points) {
+    const u = normalize(cross(axis, Math.abs(axis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+    const v = cross(normalize(axis), u);
+    const angle = p => Math.atan2(dot(p, v), dot(p, u));
+    return points.sort((p, q) => angle(p) - angle(q));
+}
+
+function polygonArea(polygon) {
+    let sum = [0, 0, 0];
+    for (let i = 1; i < polygon.length - 1; i++) {
+        sum = add(sum, cross(sub(polygon[i], polygon[0]), sub(polygon[i + 1], polygon[0])));
+    }
+    return length(sum) / 2;
+}
+
+// Plain [x, y, z] arrays keep the cutting code free of Vector3 bookkeeping
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => scale(a, 1 / length(a));
+const distance = (a, b) => length(sub(a, b));
@@ -0,0 +1,178 @@
+/**
+ * Supershape Module
+ * Gielis superformula surface: one superformula for longitude, one for
+ * latitude, with shared m / n1 / n2 / n3. Bass, mid and treble bend
+ * n1 / n2 / n3 live; m (the symmetry) only follows the panel, since
+ * sweeping it makes the lobes jump rather than breathe.
+ */
+
+import * as THREE from 'three';
+import { ParametricGeometry } from 'three/addons/geometries/ParametricGeometry.js';
+
+export const SUPERSHAPE_PARAMS = { m: 6, n1: 1, n2: 1.7, n3: 1.7, modulation: 0.5 };
+
+// Band driving each exponent and how far a full-level band moves it
+// (relative to the panel value): bass inflates, mid/treble sharpen
+const MODULATION = {
+    n1: ['bass', 1.5],
+    n2: ['mid', -0.6],
+    n3: ['treble', -0.6]
+};
+const MIN_EXPONENT = 0.05;
+const RESHAPE_THRESHOLD = 0.002;
+
+function superformula(angle, m, n1, n2, n3) {
+    const t = m * angle / 4;
+    const r = Math.pow(Math.pow(Math.abs(Math.cos(t)), n2) + Math.pow(Math.abs(Math.sin(t)), n3), -1 / n1);
+    return Number.isFinite(r) ? r : 0;
+}
+
+export class Supershape {
+    constructor() {
+        this.params = { ...SUPERSHAPE_PARAMS };
+        // Modulated values the current meshes were built / reshaped with
+        this.current = { m: 0, n1: 0, n2: 0, n3: 0 };
+        this.size = 1;
+        this._point = new THREE.Vector3();
+    }
+
+    setParam(key, value) {
+        if (key in this.params) this.params[key] = value;
+    }
+
+    createGeometry(size, detail) {
+        this.size = size;
+        const { m, n1, n2, n3 } = this.params;
+        Object.assign(this.current, { m, n1, n2, n3 });
+        const geometry = new ParametricGeometry(
+            (u, v, target) => this.evaluate(u, v, target),
+            48 + detail * 16, 24 + detail * 8
+        );
+        this.fit(geometry.attributes.position);
+        return geometry;
+    }
+
+    /**
+     * Grid coordinates (u, v in 0-1) -> point on the surface
+     */
+    evaluate(u, v, target) {
+        const { m, n1, n2, n3 } = this.current;
+        const theta = (u * 2 - 1) * Math.PI;
+        const phi = (v - 0.5) * Math.PI;
+        const r1 = superformula(theta, m, n1, n2, n3);
+        const r2 = superformula(phi, m, n1, n2, n3);
+        return target.set(
+            r1 * Math.cos(theta) * r2 * Math.cos(phi),
+            r2 * Math.sin(phi),
+            r1 * Math.sin(theta) * r2 * Math.cos(phi)
+        );
+    }
+
+    /**
+     * Apply the audio modulation and reshape the center meshes in place.
+     * Positions are recomputed from each vertex's grid uv; normals and
+     * displacement directions are computed once and copied to the clones.
+     */
+    update(meshes, bands) {
+        const p = this.params;
+        const next = { m: p.m };
+        Object.entries(MODULATION).forEach(([key, [band, depth]]) => {
+            next[key] = Math.max(MIN_EXPONENT, p[key] * (1 + depth * p.modulation * (bands[band] || 0)));
+        });
+
+        const changed = Object.keys(next).some(key => Math.abs(next[key] - this.current[key]) > RESHAPE_THRESHOLD);
+        if (!changed) return;
+
+        const geometries = meshes.map(mesh => mesh?.geometry).filter(Boolean);
+        // The points material merges vertices without uv: recover it while
+        // the positions still match the current exponents
+        geometries.forEach(geometry => {
+            if (!geometry.attributes.uv) this.recoverUv(geometry);
+        });
+        Object.assign(this.current, next);
+
+        let source = null;
+        geometries.forEach(geometry => {
+            const { position, normal, aDisplaceDir } = geometry.attributes;
+            // Wire / glow are clones of the solid: copy rather than re-evaluate
+            if (source && source.attributes.position.count === position.count) {
+                ['position', 'normal', 'aDisplaceDir'].forEach(name => {
+                    const from = source.attributes[name], to = geometry.attributes[name];
+                    if (from && to) {
+                        to.array.set(from.array);
+                        to.needsUpdate = true;
+                    }
+                });
+                geometry.boundingSphere = source.boundingSphere.clone();
+                return;
+            }
+
+            this.reshape(geometry);
+            position.needsUpdate = true;
+            if (normal) geometry.computeVertexNormals();
+            if (aDisplaceDir) this.radialDirections(position, aDisplaceDir);
+            geometry.computeBoundingSphere();
+            source = geometry;
+        });
+    }
+
+    /**
+     * The surface is star-shaped around the origin, so displacing along the
+     * radius is always outward, and seam vertices (same position) move together
+     */
+    radialDirections(position, dirs) {
+        const from = position.array, to = dirs.array;
+        for (let i = 0; i < from.length; i += 3) {
+            const length = Math.hypot(from[i], from[i + 1], from[i + 2]) || 1;
+            to[i] = from[i] / length;
+            to[i + 1] = from[i + 1] / length;
+            to[i + 2] = from[i + 2] / length;
+        }
+        dirs.needsUpdate = true;
+    }
+
+    /**
+     * Invert evaluate() for a geometry built with the current exponents:
+     * longitude straight from x / z, latitude from the height over the
+     * longitude profile (scale cancels out in both)
+     */
+    recoverUv(geometry) {
+        const position = geometry.attributes.position;
+        const { m, n1, n2, n3 } = this.current;
+        const uv = new Float32Array(position.count * 2);
+        for (let i = 0; i < position.count; i++) {
+            const x = position.getX(i), y = position.getY(i), z = position.getZ(i);
+            const theta = Math.atan2(z, x);
+            const phi = Math.atan2(y * superformula(theta, m, n1, n2, n3), Math.hypot(x, z));
+            uv[i * 2] = (theta / Math.PI + 1) / 2;
+            uv[i * 2 + 1] = phi / Math.PI + 0.5;
+        }
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+    }
+
+    reshape(geometry) {
+        const position = geometry.attributes.position;
+        const uv = geometry.attributes.uv;
+        const point = this._point;
+        for (let i = 0; i < position.count; i++) {
+            this.evaluate(uv.getX(i), uv.getY(i), point);
+            position.setXYZ(i, point.x, point.y, point.z);
+        }
+        this.fit(position);
+    }
+
+    /**
+     * Scale so the farthest point sits at `size`: extreme exponents can
+     * make the raw formula tiny or enormous
+     */
+    fit(position) {
+        const array = position.array;
+        let maxSq = 0;
+        for (let i = 0; i < array.length; i += 3) {
+            maxSq = Math.max(maxSq, array[i] * array[i] + array[i + 1] * array[i + 1] + array[i + 2] * array[i + 2]);
+        }
+        if (maxSq === 0) return;
+        const factor = this.size / Math.sqrt(maxSq);
+        for (let i = 0; i < array.length; i++) array[i] *= factor;
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Track Analysis Worker
+ * Runs analyzeTrackData off the main thread (module worker).
+ */
+
+import { analyzeTrackData } from './track-analysis.js';
+
+self.addEventListener('message', (e) => {
+    const { id, channels, sampleRate } = e.data;
+    try {
+        const result = analyzeTrackData(channels, sampleRate);
+        const transfer = [result.envelope.buffer, result.bands.low.buffer, result.bands.mid.buffer, result.bands.high.buffer];
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,180 @@
+/**
+ * Track Analysis — pure whole-track feature extraction
+ * Shared by the analysis worker and the main-thread fallback.
+ * Input: band-split channels rendered by TrackAnalyzer's offline pass.
+ */
+
+export const FRAME_RATE = 20;      // envelope frames per second
+const BLOCK_SECONDS = 2;           // section detection granularity
+const MIN_SECTION_BLOCKS = 2;      // shorter sections are merged into neighbours
+
+/**
+ * RMS per frame of one channel
+ */
+function frameRms(samples, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate / FRAME_RATE));
+    const frames = Math.ceil(samples.length / hop);
+    const out = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+        const start = f * hop;
+        const end = Math.min(samples.length, start + hop);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+        out[f] = Math.sqrt(sum / Math.max(1, end - start));
+    }
+    return out;
+}
+
+function normalize(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) max = Math.max(max, values[i]);
+    const out = new Float32Array(values.length);
+    if (max > 0) for (let i = 0; i < values.length; i++) out[i] = values[i] / max;
+    return out;
+}
+
+function toDb(value) {
+    return 20 * Math.log10(Math.max(value, 1e-9));
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Peak / RMS / crest factor and loudness range from the full-band signal
+ */
+function loudnessStats(samples, envelope) {
+    let peak = 0, sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const v = Math.abs(samples[i]);
+        if (v > peak) peak = v;
+        sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / Math.max(1, samples.length));
+
+    // Short-term (3 s) levels, gated like EBU R128 loudness range
+    const window = FRAME_RATE * 3;
+    const shortTerm = [];
+    for (let f = 0; f + window <= envelope.length; f += FRAME_RATE) {
+        let s = 0;
+        for (let i = f; i < f + window; i++) s += envelope[i] * envelope[i];
+        const db = toDb(Math.sqrt(s / window));
+        if (db > -70) shortTerm.push(db);
+    }
+    shortTerm.sort((a, b) => a - b);
+
+    return {
+        peakDb: toDb(peak),
+        rmsDb: toDb(rms),
+        crestDb: toDb(peak) - toDb(rms),
+        rangeDb: percentile(shortTerm, 0.95) - percentile(shortTerm, 0.1)
+    };
+}
+
+/**
+ * Block averages of a frame curve
+ */
+function blockAverages(curve, blockFrames) {
+    const blocks = Math.ceil(curve.length / blockFrames);
+    const out = new Float32Array(blocks);
+    for (let b = 0; b < blocks; b++) {
+        const start = b * blockFrames;
+        const end = Math.min(curve.length, start + blockFrames);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += curve[i];
+        out[b] = sum / Math.max(1, end - start);
+    }
+    return out;
+}
+
+/**
+ * Label 2 s blocks as intro / build / drop / breakdown and merge them into sections
+ */
+function detectSections(envelope, low, duration) {
+    const blockFrames = FRAME_RATE * BLOCK_SECONDS;
+    const energy = normalize(blockAverages(envelope, blockFrames));
+    const bass = normalize(blockAverages(low, blockFrames));
+    const labels = [];
+    let seenDrop = false;
+
+    for (let b = 0; b < energy.length; b++) {
+        const e = energy[b];
+        const ahead = energy[Math.min(energy.length - 1, b + 2)];
+        let label;
+
+        if (e >= 0.7 && bass[b] >= 0.5) {
+            label = 'drop';
+            seenDrop = true;
+        } else if (ahead - e > 0.08 && e >= 0.3) {
+            label = 'build';
+        } else if (e < 0.45) {
+            label = seenDrop ? 'breakdown' : 'intro';
+        } else {
+            // Steady mid energy continues whatever came before
+            label = labels[b - 1] || 'intro';
+            if (label === 'build') label = seenDrop ? 'breakdown' : 'intro';
+        }
+        labels.push(label);
+    }
+
+    // Merge runs, then fold short runs into the previous section
+    const sections = [];
+    labels.forEach((type, b) => {
+        const last = sections[sections.length - 1];
+        if (last && last.type === type) {
+            last.blocks++;
+            last.energy += energy[b];
+        } else {
+            sections.push({ type, startBlock: b, blocks: 1, energy: energy[b] });
+        }
+    });
+    for (let i = sections.length - 1; i > 0; i--) {
+        if (sections[i].blocks < MIN_SECTION_BLOCKS) {
+            sections[i - 1].blocks += sections[i].blocks;
+            sections[i - 1].energy += sections[i].energy;
+            sections.splice(i, 1);
+        }
+    }
+    // Re-merge neighbours that became equal after folding
+    for (let i = sections.length - 1; i > 0; i--) {
+        if (sections[i].type === sections[i - 1].type) {
+            sections[i - 1].blocks += sections[i].blocks;
+            sections[i - 1].energy += sections[i].energy;
+            sections.splice(i, 1);
+        }
+    }
+
+    return sections.map(s => ({
+        type: s.type,
+        start: s.startBlock * BLOCK_SECONDS,
+        end: Math.min(duration, (s.startBlock + s.blocks) * BLOCK_SECONDS),
+        energy: s.energy / s.blocks
+    }));
+}
+
+/**
+ * Full-track analysis.
+ * channels: [full, low, mid, high] mono Float32Arrays at `sampleRate`
+ */
+export function analyzeTrackData(channels, sampleRate) {
+    const [full, low, mid, high] = channels;
+    const duration = full.length / sampleRate;
+
+    const envelopeRaw = frameRms(full, sampleRate);
+    const lowRaw = frameRms(low, sampleRate);
+
+    return {
+        duration,
+        frameRate: FRAME_RATE,
+        envelope: normalize(envelopeRaw),
+        bands: {
+            low: normalize(lowRaw),
+            mid: normalize(frameRms(mid, sampleRate)),
+            high: normalize(frameRms(high, sampleRate))
+        },
+        sections: detectSections(envelopeRaw, lowRaw, duration),
+        loudness: loudnessStats(full, envelopeRaw)
+    };
+}
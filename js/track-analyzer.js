@@ -0,0 +1,162 @@
+/**
+ * TrackAnalyzer Module
+ * Whole-track pre-analysis for loaded files: decode, split into bands with an
+ * OfflineAudioContext pass, then extract envelopes / sections / loudness in a
+ * worker. Results are cached per file for the session.
+ */
+
+import { analyzeTrackData } from './track-analysis.js';
+
+// The offline pass runs at a reduced rate — envelopes don't need full bandwidth
+const ANALYSIS_SAMPLE_RATE = 16000;
+
+// Band split for the energy curves (Hz)
+const LOW_CUTOFF = 150;
+const HIGH_CUTOFF = 2500;
+
+export class TrackAnalyzer {
+    constructor() {
+        this.cache = new Map();   // file key -> Promise<result>
+        this.worker = null;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+    }
+
+    static keyFor(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    /**
+     * Analyze a file (cached; concurrent calls share one pass)
+     */
+    analyze(file) {
+        const key = TrackAnalyzer.keyFor(file);
+        if (!this.cache.has(key)) {
+            const job = this.run(file);
+            // Don't cache failures so a retry can succeed
+            job.catch(() => this.cache.delete(key));
+            this.cache.set(key, job);
+        }
+        return this.cache.get(key);
+    }
+
+    getCached(file) {
+        return this.cache.get(TrackAnalyzer.keyFor(file)) || null;
+    }
+
+    async run(file) {
+        const data = await file.arrayBuffer();
+
+        // Decode at the analysis rate (decodeAudioData resamples to the context rate)
+        const decoder = new OfflineAudioContext(1, 1, ANALYSIS_SAMPLE_RATE);
+        const buffer = await decoder.decodeAudioData(data);
+
+        const channels = await this.renderBands(buffer);
+        try {
+            return await this.extract(channels, buffer.sampleRate);
+        } catch (error) {
+            // The channels went to the dead worker; render them again for the main thread
+            if (!error.workerFailed) throw error;
+            return this.extract(await this.renderBands(buffer), buffer.sampleRate);
+        }
+    }
+
+    /**
+     * Offline pass: mono full-band, low, mid and high channels
+     */
+    async renderBands(buffer) {
+        const context = new OfflineAudioContext(4, buffer.length, buffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        const merger = context.createChannelMerger(4);
+        merger.connect(context.destination);
+
+        // Force a mono downmix before the band filters
+        const mono = context.createGain();
+        mono.channelCount = 1;
+        mono.channelCountMode = 'explicit';
+        mono.channelInterpretation = 'speakers';
+        source.connect(mono);
+
+        const filter = (type, frequency) => {
+            const node = context.createBiquadFilter();
+            node.type = type;
+            node.frequency.value = frequency;
+            return node;
+        };
+
+        const lowpass = filter('lowpass', LOW_CUTOFF);
+        const midHigh = filter('highpass', LOW_CUTOFF);
+        const midLow = filter('lowpass', HIGH_CUTOFF);
+        const highpass = filter('highpass', HIGH_CUTOFF);
+
+        mono.connect(merger, 0, 0);
+        mono.connect(lowpass).connect(merger, 0, 1);
+        mono.connect(midHigh).connect(midLow).connect(merger, 0, 2);
+        mono.connect(highpass).connect(merger, 0, 3);
+
+        source.start();
+        const rendered = await context.startRendering();
+        return [0, 1, 2, 3].map(i => rendered.getChannelData(i));
+    }
+
+    /**
+     * Feature extraction in the worker, or inline if workers are unavailable
+     */
+    extract(channels, sampleRate) {
+        const worker = this.getWorker();
+        if (!worker) {
+            // Yield once so the load path finishes before the heavy loop
+            return new Promise(resolve => setTimeout(resolve, 0))
+                .then(() => analyzeTrackData(channels, sampleRate));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, channels, sampleRate }, channels.map(c => c.buffer));
+        });
+    }
+
+    getWorker() {
+        if (this.worker !== null) return this.worker || null;
+        try {
+            this.worker = new Worker(new URL('./track-analysis-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => {
+                const { id, result, error } = e.data;
+                const job = this.pending.get(id);
+                if (!job) return;
+                this.pending.delete(id);
+                if (error) job.reject(new Error(error));
+                else job.resolve(result);
+            });
+            // A worker that fails to load or crashes never answers: fail its
+            // jobs over to the main thread and stop using it
+            const fail = (event) => this.failWorker(event);
+            this.worker.addEventListener('error', fail);
+            this.worker.addEventListener('messageerror', fail);
+        } catch (error) {
+            console.warn('[TrackAnalyzer] Worker unavailable, analyzing on the main thread:', error);
+            this.worker = false;
+        }
+        return this.worker || null;
+    }
+
+    failWorker(event) {
+        console.warn('[TrackAnalyzer] Worker failed, analyzing on the main thread:', event.message || event.type);
+        if (this.worker) this.worker.terminate();
+        this.worker = false;
+        const error = Object.assign(new Error('Track analysis worker failed'), { workerFailed: true });
+        this.pending.forEach(job => job.reject(error));
+        this.pending.clear();
+    }
+
+    destroy() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(job => job.reject(new Error('TrackAnalyzer destroyed')));
+        this.pending.clear();
+        this.cache.clear();
+    }
+}
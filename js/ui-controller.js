@@ -2,6 +2,46 @@
  * UIController Module — Extended with Background & Lighting controls
  */
 
+// Some platforms report an empty MIME type for these, so fall back to the extension
+const AUDIO_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm|aiff?)$/i;
+
+const isAudioFile = (file) => file.type.startsWith('audio/') || (!file.type && AUDIO_EXTENSIONS.test(file.name));
+const isLyricsFile = (file) => /\.lrc$/i.test(file.name);
+
+/**
+ * Resolve a FileSystemEntry into files, walking directories recursively
+ */
+async function readEntry(entry) {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => entry.file(file => resolve([file]), reject));
+    }
+    if (!entry.isDirectory) return [];
+
+    const reader = entry.createReader();
+    const entries = [];
+    // readEntries returns results in batches until it yields an empty list
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        entries.push(...batch);
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    const nested = await Promise.all(entries.map(readEntry));
+    return nested.flat();
+}
+
+/**
+ * Seconds -> m:ss (h:mm:ss past an hour)
+ */
+function formatTime(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+    const s = Math.floor(seconds % 60).toString().padStart(2, '0');
+    const m = Math.floor(seconds / 60) % 60;
+    const h = Math.floor(seconds / 3600);
+    return h ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
 export class UIController {
     constructor() {
         this.elements = {
@@ -9,22 +49,97 @@ export class UIController {
             btnHide: document.getElementById('btn-hide'),
             btnShow: document.getElementById('btn-show'),
             btnMicrophone: document.getElementById('btn-microphone'),
+            btnDisplay: document.getElementById('btn-display'),
             audioFile: document.getElementById('audio-file'),
+            canvasContainer: document.getElementById('canvas-container'),
+            dropOverlay: document.getElementById('drop-overlay'),
             audioPlayer: document.getElementById('audio-player'),
+            lyricsOverlay: document.getElementById('lyrics-overlay'),
+            lyricsCurrent: document.getElementById('lyrics-current'),
+            lyricsNext: document.getElementById('lyrics-next'),
             trackName: document.getElementById('track-name'),
+            trackArtist: document.getElementById('track-artist'),
+            coverArt: document.getElementById('cover-art'),
             btnPlay: document.getElementById('btn-play'),
             progressBar: document.querySelector('.progress-bar'),
             progressFill: document.getElementById('progress-fill'),
+            loopRegion: document.getElementById('loop-region'),
+            timeElapsed: document.getElementById('time-elapsed'),
+            timeTotal: document.getElementById('time-total'),
+            btnMute: document.getElementById('btn-mute'),
+            rangeVolume: document.getElementById('range-volume'),
+            selectRate: document.getElementById('select-rate'),
+            btnLoop: document.getElementById('btn-loop'),
+            
+            // Playlist
+            playlist: document.getElementById('playlist'),
+            btnPrev: document.getElementById('btn-prev'),
+            btnNext: document.getElementById('btn-next'),
+            btnShuffle: document.getElementById('btn-shuffle'),
+            btnRepeat: document.getElementById('btn-repeat'),
+            rangeCrossfade: document.getElementById('range-crossfade'),
+            crossfadeValue: document.getElementById('crossfade-value'),
+            queueList: document.getElementById('queue-list'),
+            
+            // Audio input
+            selectInputDevice: document.getElementById('select-input-device'),
+            rangeInputGain: document.getElementById('range-input-gain'),
+            inputGainValue: document.getElementById('input-gain-value'),
+            rangeNoiseGate: document.getElementById('range-noise-gate'),
+            noiseGateValue: document.getElementById('noise-gate-value'),
+            selectGeneratorType: document.getElementById('select-generator-type'),
+            rangeGeneratorFrequency: document.getElementById('range-generator-frequency'),
+            generatorFrequencyValue: document.getElementById('generator-frequency-value'),
+            rangeGeneratorBpm: document.getElementById('range-generator-bpm'),
+            generatorBpmValue: document.getElementById('generator-bpm-value'),
+            rangeGeneratorLevel: document.getElementById('range-generator-level'),
+            generatorLevelValue: document.getElementById('generator-level-value'),
+            toggleGeneratorMonitor: document.getElementById('toggle-generator-monitor'),
+            btnGenerator: document.getElementById('btn-generator'),
+            toggleAutoGain: document.getElementById('toggle-auto-gain'),
+            rangeAutoGainSpeed: document.getElementById('range-auto-gain-speed'),
+            autoGainSpeedValue: document.getElementById('auto-gain-speed-value'),
+            rangeAutoGainTarget: document.getElementById('range-auto-gain-target'),
+            autoGainTargetValue: document.getElementById('auto-gain-target-value'),
+            btnRecord: document.getElementById('btn-record'),
+            btnReplay: document.getElementById('btn-replay'),
+            replayFile: document.getElementById('replay-file'),
+            
+            // Lyrics
+            lyricsFile: document.getElementById('lyrics-file'),
+            toggleLyricsOverlay: document.getElementById('toggle-lyrics-overlay'),
+            toggleLyrics3D: document.getElementById('toggle-lyrics-3d'),
+            toggleLyricsAccent: document.getElementById('toggle-lyrics-accent'),
+            rangeLyricsOffset: document.getElementById('range-lyrics-offset'),
+            lyricsOffsetValue: document.getElementById('lyrics-offset-value'),
             
             // Geometry
             selectGeometry: document.getElementById('select-geometry'),
+            geometryModels: document.getElementById('geometry-models'),
+            modelFile: document.getElementById('model-file'),
+            selectTransition: document.getElementById('select-transition'),
+            rangeTransitionDuration: document.getElementById('range-transition-duration'),
+            transitionDurationValue: document.getElementById('transition-duration-value'),
+            toggleTransitionBeat: document.getElementById('toggle-transition-beat'),
             rangeDetail: document.getElementById('range-detail'),
             detailValue: document.getElementById('detail-value'),
+            selectMaterial: document.getElementById('select-material'),
+            materialParams: document.getElementById('material-params'),
+            supershapeParams: document.getElementById('supershape-params'),
+            toggleDisplacement: document.getElementById('toggle-displacement'),
+            rangeDisplacement: document.getElementById('range-displacement'),
+            displacementValue: document.getElementById('displacement-value'),
             
             // Rings
             selectRings: document.getElementById('select-rings'),
             rangeRingsCount: document.getElementById('range-rings-count'),
             ringsCountValue: document.getElementById('rings-count-value'),
+            spectrumRingOptions: document.getElementById('spectrum-ring-options'),
+            rangeSpectrumBars: document.getElementById('range-spectrum-bars'),
+            spectrumBarsValue: document.getElementById('spectrum-bars-value'),
+            toggleSpectrumMirror: document.getElementById('toggle-spectrum-mirror'),
+            toggleSpectrumPeaks: document.getElementById('toggle-spectrum-peaks'),
+            selectSpectrumGradient: document.getElementById('select-spectrum-gradient'),
             
             // Surround
             selectSurround: document.getElementById('select-surround'),
@@ -64,6 +179,8 @@ export class UIController {
             contrastValue: document.getElementById('contrast-value'),
             
             // Scene
+            selectColorMode: document.getElementById('select-color-mode'),
+            toggleArtworkPalette: document.getElementById('toggle-artwork-palette'),
             rangeBloom: document.getElementById('range-bloom'),
             bloomValue: document.getElementById('bloom-value'),
             rangeFog: document.getElementById('range-fog'),
@@ -76,6 +193,10 @@ export class UIController {
 
         this.callbacks = {};
         this.isUIVisible = true;
+        this.isScrubbing = false;
+        this.coverUrl = null;
+        this.lyricsOverlayEnabled = true;
+        this.lyricWordIndex = -1;
         this.init();
     }
 
@@ -90,22 +211,109 @@ export class UIController {
 
         // Audio
         this.elements.btnMicrophone.addEventListener('click', () => this.emit('onMicrophoneClick'));
+        this.elements.btnDisplay?.addEventListener('click', () => this.emit('onDisplayClick'));
         this.elements.audioFile.addEventListener('change', (e) => {
-            if (e.target.files[0]) this.emit('onFileSelect', e.target.files[0]);
+            const files = Array.from(e.target.files);
+            const lyrics = files.filter(isLyricsFile);
+            const audio = files.filter(file => !isLyricsFile(file));
+            // Lyrics first, so they're known when their track starts
+            if (lyrics.length) this.emit('onLyricsAdd', lyrics, !audio.length);
+            if (audio.length === 1) this.emit('onFileSelect', audio[0]);
+            else if (audio.length > 1) this.emit('onQueueAdd', audio);
+            e.target.value = '';
         });
+        this.initDropZone();
         this.elements.btnPlay.addEventListener('click', () => this.emit('onPlayPause'));
-        this.elements.progressBar.addEventListener('click', (e) => {
-            const rect = this.elements.progressBar.getBoundingClientRect();
-            this.emit('onSeek', Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)));
+        this.initScrubbing();
+        this.elements.btnMute?.addEventListener('click', () => this.emit('onMuteToggle'));
+        this.elements.rangeVolume?.addEventListener('input', (e) => this.emit('onVolumeChange', parseFloat(e.target.value)));
+        this.elements.selectRate?.addEventListener('change', (e) => this.emit('onRateChange', parseFloat(e.target.value)));
+        this.elements.btnLoop?.addEventListener('click', () => this.emit('onLoopCycle'));
+
+        // Playlist
+        this.elements.btnPrev?.addEventListener('click', () => this.emit('onPrevious'));
+        this.elements.btnNext?.addEventListener('click', () => this.emit('onNext'));
+        this.elements.btnShuffle?.addEventListener('click', () => this.emit('onShuffleToggle'));
+        this.elements.btnRepeat?.addEventListener('click', () => this.emit('onRepeatCycle'));
+        this.bindRange('rangeCrossfade', 'crossfadeValue', 'onCrossfadeChange', false);
+        this.initQueueList();
+
+        // Audio input
+        this.bindSelect('selectInputDevice', 'onInputDeviceChange');
+        this.bindRange('rangeInputGain', 'inputGainValue', 'onInputGainChange', false);
+        this.elements.rangeNoiseGate?.addEventListener('input', (e) => {
+            const db = parseInt(e.target.value);
+            if (this.elements.noiseGateValue) this.elements.noiseGateValue.textContent = db <= -90 ? 'Off' : `${db} dB`;
+            this.emit('onNoiseGateChange', db);
+        });
+
+        // Test signal
+        this.bindSelect('selectGeneratorType', 'onGeneratorTypeChange');
+        this.elements.rangeGeneratorFrequency?.addEventListener('input', (e) => {
+            // Log slider: 0-1000 -> 20 Hz - 20 kHz
+            const hz = Math.round(20 * Math.pow(1000, parseInt(e.target.value) / 1000));
+            if (this.elements.generatorFrequencyValue) this.elements.generatorFrequencyValue.textContent = `${hz} Hz`;
+            this.emit('onGeneratorFrequencyChange', hz);
+        });
+        this.bindRange('rangeGeneratorBpm', 'generatorBpmValue', 'onGeneratorBpmChange', true);
+        this.bindRange('rangeGeneratorLevel', 'generatorLevelValue', 'onGeneratorLevelChange', false);
+        this.elements.toggleGeneratorMonitor?.addEventListener('change', (e) => this.emit('onGeneratorMonitorChange', e.target.checked));
+        this.elements.btnGenerator?.addEventListener('click', () => this.emit('onGeneratorToggle'));
+
+        // Levels
+        this.elements.toggleAutoGain?.addEventListener('change', (e) => this.emit('onAutoGainChange', e.target.checked));
+        this.bindRange('rangeAutoGainSpeed', 'autoGainSpeedValue', 'onAutoGainSpeedChange', false);
+        this.bindRange('rangeAutoGainTarget', 'autoGainTargetValue', 'onAutoGainTargetChange', false);
+
+        // Analysis recording
+        this.elements.btnRecord?.addEventListener('click', () => this.emit('onRecordToggle'));
+        this.elements.replayFile?.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) this.emit('onReplayFile', file);
+            e.target.value = '';
+        });
+
+        // Lyrics
+        this.elements.lyricsFile?.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) this.emit('onLyricsAdd', [file], true);
+            e.target.value = '';
+        });
+        this.elements.toggleLyricsOverlay?.addEventListener('change', (e) => {
+            this.lyricsOverlayEnabled = e.target.checked;
+            if (!e.target.checked) this.elements.lyricsOverlay?.classList.add('hidden');
         });
+        this.elements.toggleLyrics3D?.addEventListener('change', (e) => this.emit('onLyrics3DChange', e.target.checked));
+        this.elements.toggleLyricsAccent?.addEventListener('change', (e) => this.emit('onLyricsAccentChange', e.target.checked));
+        this.bindRange('rangeLyricsOffset', 'lyricsOffsetValue', 'onLyricsOffsetChange', false);
 
         // Geometry
         this.bindSelect('selectGeometry', 'onGeometryChange');
+        this.elements.selectGeometry?.addEventListener('change', (e) => this.showShapeParams(e.target.value));
+        this.bindParamRanges(this.elements.supershapeParams, 'onSupershapeParamChange');
+        this.elements.modelFile?.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) this.emit('onModelFile', file);
+            e.target.value = '';
+        });
         this.bindRange('rangeDetail', 'detailValue', 'onDetailChange', true);
+        this.bindSelect('selectTransition', 'onTransitionChange');
+        this.bindRange('rangeTransitionDuration', 'transitionDurationValue', 'onTransitionDurationChange', false);
+        this.elements.toggleTransitionBeat?.addEventListener('change', (e) => this.emit('onTransitionBeatChange', e.target.checked));
+        this.bindSelect('selectMaterial', 'onMaterialModeChange');
+        this.elements.selectMaterial?.addEventListener('change', (e) => this.showMaterialParams(e.target.value));
+        this.initMaterialParams();
+        this.elements.toggleDisplacement?.addEventListener('change', (e) => this.emit('onDisplacementChange', e.target.checked));
+        this.bindRange('rangeDisplacement', 'displacementValue', 'onDisplacementAmountChange', false);
 
         // Rings
         this.bindSelect('selectRings', 'onRingsStyleChange');
         this.bindRange('rangeRingsCount', 'ringsCountValue', 'onRingsCountChange', true);
+        this.elements.selectRings?.addEventListener('change', (e) => this.showRingOptions(e.target.value));
+        this.bindRange('rangeSpectrumBars', 'spectrumBarsValue', 'onSpectrumBarsChange', true);
+        this.elements.toggleSpectrumMirror?.addEventListener('change', (e) => this.emit('onSpectrumMirrorChange', e.target.checked));
+        this.elements.toggleSpectrumPeaks?.addEventListener('change', (e) => this.emit('onSpectrumPeaksChange', e.target.checked));
+        this.bindSelect('selectSpectrumGradient', 'onSpectrumGradientChange');
 
         // Surround
         this.bindSelect('selectSurround', 'onSurroundTypeChange');
@@ -133,6 +341,8 @@ export class UIController {
         this.bindRange('rangeContrast', 'contrastValue', 'onContrastChange', false);
 
         // Scene
+        this.bindSelect('selectColorMode', 'onColorModeChange');
+        this.elements.toggleArtworkPalette?.addEventListener('change', (e) => this.emit('onArtworkPaletteChange', e.target.checked));
         this.bindRange('rangeBloom', 'bloomValue', 'onBloomChange', false);
         this.bindRange('rangeFog', 'fogValue', 'onFogChange', false);
 
@@ -158,6 +368,171 @@ export class UIController {
         });
     }
 
+    initDropZone() {
+        const { canvasContainer, dropOverlay } = this.elements;
+        if (!canvasContainer || !dropOverlay) return;
+        const hasFiles = (e) => e.dataTransfer?.types.includes('Files');
+
+        canvasContainer.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dropOverlay.classList.remove('hidden');
+        });
+
+        // The overlay covers the panel too, so it owns the rest of the gesture
+        dropOverlay.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        dropOverlay.addEventListener('dragleave', (e) => {
+            if (e.target === dropOverlay) dropOverlay.classList.add('hidden');
+        });
+        dropOverlay.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropOverlay.classList.add('hidden');
+            this.handleDrop(e.dataTransfer);
+        });
+    }
+
+    async handleDrop(dataTransfer) {
+        // Entries must be taken synchronously, before the event ends
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        let files;
+        try {
+            files = entries.length
+                ? (await Promise.all(entries.map(readEntry))).flat()
+                : Array.from(dataTransfer.files);
+        } catch (err) {
+            this.showError('Could not read dropped files: ' + err.message);
+            return;
+        }
+
+        const audio = files.filter(isAudioFile);
+        const lyrics = files.filter(isLyricsFile);
+        const rejected = files.filter(file => !isAudioFile(file) && !isLyricsFile(file));
+
+        if (lyrics.length) this.emit('onLyricsAdd', lyrics, !audio.length);
+        if (!audio.length) {
+            if (lyrics.length) return;
+            this.showError('No audio files found in the drop' + (rejected.length ? ` (${rejected.length} unsupported file${rejected.length > 1 ? 's' : ''})` : ''));
+            return;
+        }
+        if (rejected.length) {
+            const names = rejected.slice(0, 3).map(f => f.name).join(', ');
+            this.showError(`Skipped ${rejected.length} non-audio file${rejected.length > 1 ? 's' : ''}: ${names}${rejected.length > 3 ? '…' : ''}`);
+        }
+
+        if (audio.length === 1) this.emit('onFileSelect', audio[0]);
+        else this.emit('onQueueAdd', audio);
+    }
+
+    /**
+     * Click or drag on the progress bar to seek (seeks live while dragging)
+     */
+    initScrubbing() {
+        const bar = this.elements.progressBar;
+        const positionOf = (e) => {
+            const rect = bar.getBoundingClientRect();
+            return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        };
+        const scrub = (e) => {
+            const pos = positionOf(e);
+            this.elements.progressFill.style.width = `${pos * 100}%`;
+            this.emit('onSeek', pos);
+        };
+
+        bar.addEventListener('pointerdown', (e) => {
+            this.isScrubbing = true;
+            bar.classList.add('scrubbing');
+            bar.setPointerCapture(e.pointerId);
+            scrub(e);
+        });
+        bar.addEventListener('pointermove', (e) => { if (this.isScrubbing) scrub(e); });
+        const end = () => {
+            this.isScrubbing = false;
+            bar.classList.remove('scrubbing');
+        };
+        bar.addEventListener('pointerup', end);
+        bar.addEventListener('pointercancel', end);
+    }
+
+    initQueueList() {
+        const list = this.elements.queueList;
+        if (!list) return;
+        const indexOf = (el) => Number(el.closest('.queue-item')?.dataset.index);
+
+        list.addEventListener('click', (e) => {
+            const index = indexOf(e.target);
+            if (Number.isNaN(index)) return;
+            if (e.target.closest('.queue-remove')) this.emit('onQueueRemove', index);
+            else this.emit('onQueueSelect', index);
+        });
+
+        // Drag to reorder
+        let dragIndex = -1;
+        list.addEventListener('dragstart', (e) => {
+            dragIndex = indexOf(e.target);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        list.addEventListener('dragover', (e) => {
+            if (dragIndex < 0) return;
+            e.preventDefault();
+            list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            e.target.closest('.queue-item')?.classList.add('drag-over');
+        });
+        list.addEventListener('drop', (e) => {
+            if (dragIndex < 0) return;
+            e.preventDefault();
+            const target = indexOf(e.target);
+            if (!Number.isNaN(target)) this.emit('onQueueMove', dragIndex, target);
+            dragIndex = -1;
+        });
+        list.addEventListener('dragend', () => {
+            dragIndex = -1;
+            list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+    }
+
+    /**
+     * Material parameter sliders are grouped per mode; the input's
+     * data-param names the parameter and integer steps show as integers
+     */
+    initMaterialParams() {
+        this.bindParamRanges(this.elements.materialParams, 'onMaterialParamChange');
+    }
+
+    /**
+     * Sliders tagged data-param inside `container` emit (key, value)
+     */
+    bindParamRanges(container, callbackKey) {
+        container?.querySelectorAll('input[data-param]').forEach(input => {
+            const isInt = Number.isInteger(parseFloat(input.step));
+            const display = input.parentElement.querySelector(`[data-param-value="${input.dataset.param}"]`);
+            input.addEventListener('input', () => {
+                const val = parseFloat(input.value);
+                if (display) display.textContent = isInt ? val : val.toFixed(1);
+                this.emit(callbackKey, input.dataset.param, val);
+            });
+        });
+    }
+
+    showRingOptions(style) {
+        this.elements.spectrumRingOptions?.classList.toggle('hidden', style !== 'spectrum');
+    }
+
+    showShapeParams(type) {
+        this.elements.supershapeParams?.classList.toggle('hidden', type !== 'supershape');
+    }
+
+    showMaterialParams(mode) {
+        this.elements.materialParams?.querySelectorAll('.material-params').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.mode !== mode);
+        });
+    }
+
     bindSelect(elementKey, callbackKey) {
         this.elements[elementKey]?.addEventListener('change', (e) => this.emit(callbackKey, e.target.value));
     }
@@ -210,33 +585,208 @@ export class UIController {
             case 'f': this.toggleFullscreen(); break;
             case ' ': e.preventDefault(); this.emit('onPlayPause'); break;
             case 'r': this.emit('onRandomize'); break;
+            case 'arrowleft': e.preventDefault(); this.emit('onSeekBy', e.shiftKey ? -30 : -5); break;
+            case 'arrowright': e.preventDefault(); this.emit('onSeekBy', e.shiftKey ? 30 : 5); break;
         }
     }
 
     // Audio
     setMicrophoneActive(active) { this.elements.btnMicrophone?.classList.toggle('active', active); }
+    setDisplayActive(active) { this.elements.btnDisplay?.classList.toggle('active', active); }
+    setGeneratorActive(active) {
+        const btn = this.elements.btnGenerator;
+        if (!btn) return;
+        btn.classList.toggle('active', active);
+        btn.querySelector('span').textContent = active ? 'Stop' : 'Start';
+    }
+    /**
+     * Current test signal settings from the controls
+     */
+    getGeneratorSettings() {
+        const e = this.elements;
+        return {
+            type: e.selectGeneratorType?.value || 'sweep',
+            frequency: Math.round(20 * Math.pow(1000, parseInt(e.rangeGeneratorFrequency?.value ?? 448) / 1000)),
+            bpm: parseInt(e.rangeGeneratorBpm?.value ?? 120),
+            level: parseFloat(e.rangeGeneratorLevel?.value ?? 0.5)
+        };
+    }
+    setReplayActive(active) { this.elements.btnReplay?.classList.toggle('active', active); }
+    setRecordingActive(active) {
+        const btn = this.elements.btnRecord;
+        if (!btn) return;
+        btn.classList.toggle('active', active);
+        btn.querySelector('span').textContent = active ? 'Stop' : 'Record';
+    }
+    /**
+     * Show the player with tag info when present (title, artist — album, cover),
+     * falling back to the file name
+     */
     showAudioPlayer(info) {
-        this.elements.audioPlayer?.classList.remove('hidden');
-        if (this.elements.trackName) this.elements.trackName.textContent = info.name || '—';
+        const e = this.elements;
+        e.audioPlayer?.classList.remove('hidden');
+        if (e.trackName) {
+            e.trackName.textContent = info.title || info.name || '—';
+            e.trackName.title = info.name || '';
+        }
+        if (e.trackArtist) {
+            const byline = [info.artist, info.album].filter(Boolean).join(' — ');
+            e.trackArtist.textContent = byline;
+            e.trackArtist.classList.toggle('hidden', !byline);
+        }
+        if (e.coverArt) {
+            if (this.coverUrl) URL.revokeObjectURL(this.coverUrl);
+            this.coverUrl = info.picture ? URL.createObjectURL(info.picture) : null;
+            if (this.coverUrl) e.coverArt.src = this.coverUrl;
+            else e.coverArt.removeAttribute('src');
+            e.coverArt.classList.toggle('hidden', !this.coverUrl);
+        }
     }
     hideAudioPlayer() { this.elements.audioPlayer?.classList.add('hidden'); }
+    /**
+     * Current and upcoming lyric line (null clears). Lines with word
+     * timing are split into spans for setLyricProgress().
+     */
+    showLyricLine(line, next) {
+        const { lyricsOverlay, lyricsCurrent, lyricsNext } = this.elements;
+        if (!lyricsOverlay) return;
+
+        if (line?.words) {
+            lyricsCurrent.replaceChildren(...line.words.map(word => {
+                const span = document.createElement('span');
+                span.className = 'lyric-word';
+                span.textContent = word.text;
+                return span;
+            }));
+        } else {
+            lyricsCurrent.textContent = line?.text || '';
+        }
+        lyricsNext.textContent = next?.text || '';
+        this.lyricWordIndex = -1;
+
+        // Restart the entry animation
+        lyricsCurrent.classList.remove('fresh');
+        void lyricsCurrent.offsetWidth;
+        lyricsCurrent.classList.add('fresh');
+
+        lyricsOverlay.classList.toggle('hidden', !this.lyricsOverlayEnabled || !(line?.text || next?.text));
+    }
+    /**
+     * Karaoke fill: words before `wordIndex` are sung, the active one is filled to `progress`
+     */
+    setLyricProgress(wordIndex, progress) {
+        const words = this.elements.lyricsCurrent?.children;
+        if (!words) return;
+        if (wordIndex !== this.lyricWordIndex) {
+            Array.from(words).forEach((span, i) => {
+                span.classList.toggle('sung', i < wordIndex);
+                span.style.removeProperty('--progress');
+            });
+            this.lyricWordIndex = wordIndex;
+        }
+        words[wordIndex]?.style.setProperty('--progress', progress.toFixed(3));
+    }
     setPlayingState(playing) {
         this.elements.btnPlay?.querySelector('.icon-play')?.classList.toggle('hidden', playing);
         this.elements.btnPlay?.querySelector('.icon-pause')?.classList.toggle('hidden', !playing);
     }
     updateProgress(current, total) {
-        if (this.elements.progressFill) {
+        if (this.elements.progressFill && !this.isScrubbing) {
             this.elements.progressFill.style.width = `${total > 0 ? (current / total) * 100 : 0}%`;
         }
+        if (this.elements.timeElapsed) this.elements.timeElapsed.textContent = formatTime(current);
+        if (this.elements.timeTotal) this.elements.timeTotal.textContent = formatTime(total);
+    }
+    setMuted(muted) {
+        const btn = this.elements.btnMute;
+        if (!btn) return;
+        btn.classList.toggle('active', muted);
+        btn.querySelector('.icon-volume')?.classList.toggle('hidden', muted);
+        btn.querySelector('.icon-muted')?.classList.toggle('hidden', !muted);
+    }
+    /**
+     * Show the A-B loop as fractions of the track (null = unset)
+     */
+    setLoopMarkers(start, end) {
+        const region = this.elements.loopRegion;
+        const btn = this.elements.btnLoop;
+        if (region) {
+            region.classList.toggle('hidden', start === null);
+            region.classList.toggle('open', start !== null && end === null);
+            if (start !== null) {
+                region.style.left = `${start * 100}%`;
+                region.style.width = `${((end ?? start) - start) * 100}%`;
+            }
+        }
+        if (btn) {
+            btn.classList.toggle('active', end !== null);
+            btn.title = start === null ? 'A–B loop: set A' : end === null ? 'A–B loop: set B' : 'A–B loop: clear';
+        }
+    }
+
+    setInputDevices(devices, selectedId) {
+        const select = this.elements.selectInputDevice;
+        if (!select) return;
+        const options = [new Option('System Default', '')];
+        devices.forEach(d => options.push(new Option(d.label, d.deviceId)));
+        select.replaceChildren(...options);
+        // Keep a remembered but unplugged device out of the value
+        select.value = devices.some(d => d.deviceId === selectedId) ? selectedId : '';
+    }
+
+    // Playlist
+    renderQueue(items, currentIndex) {
+        const list = this.elements.queueList;
+        if (!list) return;
+        this.elements.playlist?.classList.toggle('hidden', items.length === 0);
+
+        list.replaceChildren(...items.map((item, i) => {
+            const li = document.createElement('li');
+            li.className = 'queue-item' + (i === currentIndex ? ' active' : '');
+            li.dataset.index = i;
+            li.draggable = true;
+
+            const title = document.createElement('span');
+            title.className = 'queue-title';
+            title.textContent = `${i + 1}. ${item.name}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'queue-remove';
+            remove.title = 'Remove';
+            remove.textContent = '×';
+
+            li.append(title, remove);
+            return li;
+        }));
+    }
+    setShuffleActive(active) { this.elements.btnShuffle?.classList.toggle('active', active); }
+    setRepeatMode(mode) {
+        const btn = this.elements.btnRepeat;
+        if (!btn) return;
+        btn.dataset.mode = mode;
+        btn.title = `Repeat: ${mode}`;
+        btn.classList.toggle('active', mode !== 'off');
     }
 
     // Update UI from randomize
-    setGeometrySelect(v) { if (this.elements.selectGeometry) this.elements.selectGeometry.value = v; }
+    addModelOption(id, name) {
+        const group = this.elements.geometryModels;
+        if (!group || group.querySelector(`option[value="${id}"]`)) return;
+        group.append(new Option(name, id));
+        group.hidden = false;
+    }
+    setGeometrySelect(v) {
+        if (this.elements.selectGeometry) this.elements.selectGeometry.value = v;
+        this.showShapeParams(v);
+    }
     setDetailValue(v) {
         if (this.elements.rangeDetail) this.elements.rangeDetail.value = v;
         if (this.elements.detailValue) this.elements.detailValue.textContent = v;
     }
-    setRingsSelect(v) { if (this.elements.selectRings) this.elements.selectRings.value = v; }
+    setRingsSelect(v) {
+        if (this.elements.selectRings) this.elements.selectRings.value = v;
+        this.showRingOptions(v);
+    }
     setSurroundSelect(v) { if (this.elements.selectSurround) this.elements.selectSurround.value = v; }
     setBgPresetSelect(v) { if (this.elements.selectBgPreset) this.elements.selectBgPreset.value = v; }
 
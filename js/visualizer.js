@@ -6,7 +6,26 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ParametricGeometry } from 'three/addons/geometries/ParametricGeometry.js';
 import { BackgroundSystem } from './background-system.js';
+import { SpectrumDisplacement } from './spectrum-displacement.js';
+import { CenterMaterials } from './center-materials.js';
+import { ModelLibrary, MODEL_ID_PREFIX } from './model-library.js';
+import { ShapeTransition } from './shape-transition.js';
+import { Supershape } from './supershape.js';
+import { RaymarchFractals, RAYMARCH_FRACTALS } from './raymarch-fractals.js';
+import { SpectrumRing } from './spectrum-ring.js';
+import { createStellaOctangula, createSmallStellatedDodecahedron, createGreatIcosahedron } from './star-polyhedra.js';
+
+// Seconds before a pre-analyzed drop that the visuals start winding up
+const DROP_LEAD = 4;
+
+// 3D lyric text canvas (the sprite keeps this aspect)
+const LYRIC_CANVAS_WIDTH = 1024;
+const LYRIC_CANVAS_HEIGHT = 128;
+
+// Scene colors when no palette is applied
+const DEFAULT_COLORS = [0xa855f7, 0xff6a00, 0x06b6d4];
 
 export class Visualizer {
     constructor(container) {
@@ -24,22 +43,72 @@ export class Visualizer {
             detail: 3,
             ringsStyle: 'orbital',
             ringsCount: 4,
+            spectrumBars: 96,
+            spectrumMirror: true,
+            spectrumPeaks: true,
+            spectrumGradient: 'frequency',  // 'frequency' | 'level'
             surroundType: 'floatingPolyhedra',
             surroundCount: 20,
             bloom: 1.0,
-            fog: 1.0
+            fog: 1.0,
+            colorMode: 'static',  // 'static' | 'harmony'
+            lyrics3D: false,
+            materialMode: 'classic',  // see CENTER_MATERIAL_MODES
+            displacement: false,  // spectrum-driven vertex displacement of the center
+            displacementAmount: 1.0
         };
         
         this.baseScale = 4;
         this.colors = {
-            primary: new THREE.Color(0xa855f7),
-            secondary: new THREE.Color(0xff6a00),
-            tertiary: new THREE.Color(0x06b6d4),
+            primary: new THREE.Color(DEFAULT_COLORS[0]),
+            secondary: new THREE.Color(DEFAULT_COLORS[1]),
+            tertiary: new THREE.Color(DEFAULT_COLORS[2]),
             white: new THREE.Color(0xffffff)
         };
         
         this.time = 0;
         this.smoothedAudio = { amplitude: 0, bass: 0, mid: 0, treble: 0 };
+        this.smoothedStereo = { balance: 0, width: 0 };
+        
+        // Drum hit envelopes (kick / snare / hat) from the analyzer
+        this.drums = { kick: 0, snare: 0, hat: 0 };
+        
+        // Beat-locked pulses (set by onBeat/onBar, decay in update)
+        this.beatPulse = 0;
+        this.barPulse = 0;
+        
+        // Drop anticipation (0-1) from the track look-ahead, ramps up over DROP_LEAD
+        this.anticipation = 0;
+        
+        // Lyrics: accent pulse on line changes, optional 3D text sprite
+        this.lyricPulse = 0;
+        this.lyricSprite = null;
+        this.lyricText = '';
+        this.lyricFade = 0;
+        
+        // Reusable scratch objects (no GC in the update loop)
+        this._scaleTarget = new THREE.Vector3();
+        this._hsl = {};
+        this._gradient = new THREE.Color();
+        this._backdropSize = new THREE.Vector2();
+        
+        // Vertex displacement shared by the center meshes' materials
+        this.displacement = new SpectrumDisplacement();
+        this.centerMaterials = new CenterMaterials(this.colors);
+        this.fractals = new RaymarchFractals(this.colors);
+        this.models = new ModelLibrary();   // imported center shapes (session cache)
+        this.supershape = new Supershape();
+        this.spectrumRing = null;    // set while the rings style is 'spectrum'
+        this.backdropTarget = null;   // background render for the glass material
+        
+        // Harmony color mode: smoothed hues for the dominant pitch class and key.
+        // It drives this.colors directly; the palette it replaced waits in savedPalette.
+        this.harmony = { hue: 0, keyHue: 0, minor: false };
+        this.savedPalette = null;
+        this.idleAudio = {
+            amplitude: 0, bass: 0, mid: 0, treble: 0,
+            frequencies: new Float32Array(64)
+        };
         
         // Background system (external)
         this.backgroundSystem = null;
@@ -77,9 +146,14 @@ export class Visualizer {
         this.scene.add(this.ringsGroup);
         this.scene.add(this.surroundGroup);
 
+        this.shapeTransition = new ShapeTransition(this.centerGroup, {
+            color: this.colors.primary, map: this.centerMaterials.getDotTexture()
+        });
+
         this.createCenterGeometry();
         this.createRings();
         this.createSurroundElements();
+        this.createLyricSprite();
 
         window.addEventListener('resize', () => this.onResize());
     }
@@ -94,6 +168,59 @@ export class Visualizer {
         this.composer.addPass(this.bloomPass);
     }
 
+    /**
+     * Camera-facing lyric line below the center, drawn into a canvas texture
+     */
+    createLyricSprite() {
+        const canvas = document.createElement('canvas');
+        canvas.width = LYRIC_CANVAS_WIDTH;
+        canvas.height = LYRIC_CANVAS_HEIGHT;
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const material = new THREE.SpriteMaterial({
+            map: texture, transparent: true, opacity: 0, depthWrite: false, fog: false, toneMapped: false
+        });
+        this.lyricSprite = new THREE.Sprite(material);
+        this.lyricSprite.scale.set(32, 32 * LYRIC_CANVAS_HEIGHT / LYRIC_CANVAS_WIDTH, 1);
+        this.lyricSprite.position.set(0, -11, 4);
+        this.lyricSprite.visible = false;
+        this.lyricSprite.userData.canvas = canvas;
+        this.scene.add(this.lyricSprite);
+    }
+
+    drawLyricText() {
+        const canvas = this.lyricSprite.userData.canvas;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.lyricText) {
+            // Shrink long lines to fit
+            let size = 64;
+            ctx.font = `500 ${size}px 'Space Grotesk', sans-serif`;
+            const width = ctx.measureText(this.lyricText).width;
+            if (width > canvas.width * 0.94) {
+                size = Math.floor(size * canvas.width * 0.94 / width);
+                ctx.font = `500 ${size}px 'Space Grotesk', sans-serif`;
+            }
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.shadowColor = 'rgba(255, 255, 255, 0.6)';
+            ctx.shadowBlur = 12;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(this.lyricText, canvas.width / 2, canvas.height / 2);
+        }
+        this.lyricSprite.material.map.needsUpdate = true;
+    }
+
+    updateLyricSprite(delta) {
+        const sprite = this.lyricSprite;
+        if (!sprite || !sprite.visible) return;
+        // Fade each new line in, with a slight lift from the accent pulse
+        this.lyricFade = Math.min(1, this.lyricFade + delta * 4);
+        sprite.material.opacity = this.lyricText ? this.lyricFade * 0.85 : 0;
+        sprite.position.y = -11 + this.lyricPulse * 0.5;
+    }
+
     updateFog() {
         const density = 0.006 * this.settings.fog;
         this.scene.fog = new THREE.FogExp2(0x000005, density);
@@ -105,13 +232,19 @@ export class Visualizer {
 
     createGeometry(type, detail) {
         const s = this.baseScale;
+        if (type.startsWith(MODEL_ID_PREFIX)) {
+            return this.models.getGeometry(type) || new THREE.IcosahedronGeometry(s, detail);
+        }
         switch (type) {
             case 'tetrahedron': return new THREE.TetrahedronGeometry(s * 1.2, detail);
             case 'hexahedron': return new THREE.BoxGeometry(s * 1.4, s * 1.4, s * 1.4, detail * 2, detail * 2, detail * 2);
             case 'octahedron': return new THREE.OctahedronGeometry(s, detail);
             case 'dodecahedron': return new THREE.DodecahedronGeometry(s, detail);
             case 'icosahedron': return new THREE.IcosahedronGeometry(s, detail);
-            case 'stellatedOcta': return new THREE.OctahedronGeometry(s * 1.2, detail + 1);
+            case 'stellatedOcta': return createStellaOctangula(s, detail);
+            case 'smallStellatedDodeca': return createSmallStellatedDodecahedron(s, detail);
+            case 'greatIcosahedron': return createGreatIcosahedron(s, detail);
+            case 'supershape': return this.supershape.createGeometry(s * 1.1, detail);
             case 'torusKnot': return new THREE.TorusKnotGeometry(s * 0.7, s * 0.25, 100 + detail * 30, 16, 2, 3);
             case 'kleinBottle': return this.createKleinBottle(s, detail);
             case 'mobiusStrip': return this.createMobiusStrip(s, detail);
@@ -122,7 +255,7 @@ export class Visualizer {
     }
 
     createKleinBottle(size, detail) {
-        return new THREE.ParametricGeometry((u, v, target) => {
+        return new ParametricGeometry((u, v, target) => {
             u *= Math.PI * 2; v *= Math.PI * 2;
             const s = size * 0.25;
             let x, y, z;
@@ -139,7 +272,7 @@ export class Visualizer {
     }
 
     createMobiusStrip(size, detail) {
-        return new THREE.ParametricGeometry((u, v, target) => {
+        return new ParametricGeometry((u, v, target) => {
             u = u * Math.PI * 2; v = (v - 0.5) * 2;
             const s = size * 0.8;
             target.set(
@@ -177,30 +310,46 @@ export class Visualizer {
     }
 
     createCenterGeometry() {
+        this.shapeTransition.finish();
         this.clearGroup(this.centerGroup);
-        const geometry = this.createGeometry(this.settings.geometry, this.settings.detail);
+        this.buildCenterMeshes();
+    }
 
-        const solidMat = new THREE.MeshPhongMaterial({
-            color: 0x222233, emissive: 0x0a0a12,
-            specular: 0x666688, shininess: 60,
-            transparent: true, opacity: 0.65, side: THREE.DoubleSide
-        });
-        this.centerSolid = new THREE.Mesh(geometry, solidMat);
-        this.centerGroup.add(this.centerSolid);
+    /**
+     * Swap the center shape through the configured transition (morph,
+     * dissolve, scale); 'cut' or no current shape swaps immediately
+     */
+    transitionCenter() {
+        if (this.shapeTransition.settings.mode === 'cut' || !this.centerSolid) {
+            this.createCenterGeometry();
+            return;
+        }
+        this.shapeTransition.finish();
+        const outgoing = [this.centerSolid, this.centerWire, this.centerGlow].filter(Boolean);
+        this.buildCenterMeshes();
+        this.shapeTransition.begin(outgoing, [this.centerSolid, this.centerWire, this.centerGlow].filter(Boolean));
+    }
 
-        const wireMat = new THREE.MeshBasicMaterial({
-            color: this.colors.primary, wireframe: true, transparent: true, opacity: 0.9
-        });
-        this.centerWire = new THREE.Mesh(geometry.clone(), wireMat);
-        this.centerWire.scale.setScalar(1.01);
-        this.centerGroup.add(this.centerWire);
+    buildCenterMeshes() {
+        // Raymarched fractals bring their own shader: no material modes or displacement
+        if (RAYMARCH_FRACTALS.includes(this.settings.geometry)) {
+            this.centerMaterials.reset();
+            this.centerSolid = this.fractals.build(this.settings.geometry, this.baseScale * 1.1);
+            this.centerWire = null;
+            this.centerGlow = null;
+            this.centerGroup.add(this.centerSolid);
+            return;
+        }
 
-        const glowMat = new THREE.MeshBasicMaterial({
-            color: this.colors.secondary, wireframe: true, transparent: true, opacity: 0.25
-        });
-        this.centerGlow = new THREE.Mesh(geometry.clone(), glowMat);
-        this.centerGlow.scale.setScalar(1.1);
-        this.centerGroup.add(this.centerGlow);
+        const geometry = this.displacement.prepareGeometry(this.createGeometry(this.settings.geometry, this.settings.detail));
+
+        const { solid, wire, glow } = this.centerMaterials.build(
+            this.settings.materialMode, geometry, (material) => this.displacement.patch(material)
+        );
+        this.centerSolid = solid;
+        this.centerWire = wire;
+        this.centerGlow = glow;
+        [solid, wire, glow].forEach(part => part && this.centerGroup.add(part));
     }
 
     // =====================================================
@@ -208,10 +357,23 @@ export class Visualizer {
     // =====================================================
 
     createRings() {
+        this.spectrumRing?.dispose();
+        this.spectrumRing = null;
         this.clearGroup(this.ringsGroup);
         const { ringsStyle, ringsCount } = this.settings;
         if (ringsStyle === 'none') return;
 
+        if (ringsStyle === 'spectrum') {
+            this.spectrumRing = new SpectrumRing({
+                radius: this.baseScale * 1.7,
+                length: this.baseScale * 1.3,
+                bars: this.settings.spectrumBars,
+                gradient: (t, target) => this.getGradientColor(t, target)
+            });
+            this.ringsGroup.add(this.spectrumRing.group);
+            return;
+        }
+
         for (let i = 0; i < ringsCount; i++) {
             const radius = this.baseScale * (1.6 + i * 0.4);
             let geometry, rotation = { x: 0, y: 0, z: 0 };
@@ -269,7 +431,7 @@ export class Visualizer {
         if (surroundType === 'none') return;
 
         for (let i = 0; i < surroundCount; i++) {
-            let geometry, material;
+            let geometry, material, colorT;
             const angle = (i / surroundCount) * Math.PI * 2;
             const radius = this.baseScale * (2 + Math.random() * 2);
             const y = (Math.random() - 0.5) * this.baseScale * 3;
@@ -278,11 +440,13 @@ export class Visualizer {
                 case 'floatingPolyhedra':
                     const geoms = [THREE.TetrahedronGeometry, THREE.OctahedronGeometry, THREE.IcosahedronGeometry];
                     geometry = new geoms[i % 3](0.3, 0);
-                    material = new THREE.MeshBasicMaterial({ color: this.getGradientColor(i / surroundCount), wireframe: true, transparent: true, opacity: 0.7 });
+                    colorT = i / surroundCount;
+                    material = new THREE.MeshBasicMaterial({ color: this.getGradientColor(colorT), wireframe: true, transparent: true, opacity: 0.7 });
                     break;
                 case 'particles':
                     geometry = new THREE.SphereGeometry(0.1, 6, 6);
-                    material = new THREE.MeshBasicMaterial({ color: this.getGradientColor(Math.random()) });
+                    colorT = Math.random();
+                    material = new THREE.MeshBasicMaterial({ color: this.getGradientColor(colorT) });
                     break;
                 case 'asteroids':
                     geometry = new THREE.DodecahedronGeometry(0.2 + Math.random() * 0.3, 0);
@@ -290,14 +454,15 @@ export class Visualizer {
                     break;
                 case 'crystals':
                     geometry = new THREE.ConeGeometry(0.1, 0.4 + Math.random() * 0.3, 6);
-                    material = new THREE.MeshPhongMaterial({ color: this.getGradientColor(i / surroundCount), emissive: this.getGradientColor(i / surroundCount), emissiveIntensity: 0.3, transparent: true, opacity: 0.8 });
+                    colorT = i / surroundCount;
+                    material = new THREE.MeshPhongMaterial({ color: this.getGradientColor(colorT), emissive: this.getGradientColor(colorT), emissiveIntensity: 0.3, transparent: true, opacity: 0.8 });
                     break;
             }
 
             const mesh = new THREE.Mesh(geometry, material);
             mesh.position.set(Math.cos(angle) * radius, y, Math.sin(angle) * radius);
             mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-            mesh.userData = { type: surroundType, angle, radius, baseY: y, rotSpeed: 0.5 + Math.random() };
+            mesh.userData = { type: surroundType, angle, radius, baseY: y, rotSpeed: 0.5 + Math.random(), sparkle: Math.random(), colorT };
             if (material.transparent) material.userData = { baseOpacity: material.opacity };
             this.surroundGroup.add(mesh);
         }
@@ -319,9 +484,39 @@ export class Visualizer {
         }
     }
 
-    getGradientColor(t) {
-        if (t < 0.5) return this.colors.primary.clone().lerp(this.colors.secondary, t * 2);
-        return this.colors.secondary.clone().lerp(this.colors.tertiary, (t - 0.5) * 2);
+    /**
+     * Palette gradient primary -> secondary -> tertiary (into `target` to avoid allocating)
+     */
+    getGradientColor(t, target = new THREE.Color()) {
+        if (t < 0.5) return target.copy(this.colors.primary).lerp(this.colors.secondary, t * 2);
+        return target.copy(this.colors.secondary).lerp(this.colors.tertiary, (t - 0.5) * 2);
+    }
+
+    /**
+     * Harmony color mode: primary follows the dominant pitch class, secondary
+     * the estimated key, tertiary the complement. Pitch classes sit on the
+     * circle of fifths so related harmonies get neighbouring hues.
+     */
+    updateHarmonyColors(audioData) {
+        const h = this.harmony;
+        const fifths = (pc) => ((pc * 7) % 12) / 12;
+        // Shortest way round the hue circle
+        const approach = (from, to, rate) => {
+            const diff = ((to - from + 1.5) % 1) - 0.5;
+            return (from + diff * rate + 1) % 1;
+        };
+
+        if (audioData.pitchClass >= 0) h.hue = approach(h.hue, fifths(audioData.pitchClass), 0.03);
+        const key = audioData.key;
+        if (key && key.tonic >= 0) {
+            h.keyHue = approach(h.keyHue, fifths(key.tonic), 0.01);
+            h.minor = key.mode === 'minor';
+        }
+
+        this.colors.primary.setHSL(h.hue, 0.8, 0.6);
+        this.colors.secondary.setHSL(h.keyHue, 0.9, h.minor ? 0.45 : 0.55);
+        this.colors.tertiary.setHSL((h.hue + 0.5) % 1, 0.7, 0.5);
+        this.centerGlow?.material.color.copy(this.colors.secondary);
     }
 
     onResize() {
@@ -330,6 +525,33 @@ export class Visualizer {
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(w, h);
         this.composer.setSize(w, h);
+        this.backdropTarget?.setSize(...this.getBackdropSize());
+    }
+
+    getBackdropSize() {
+        const size = this.renderer.getDrawingBufferSize(this._backdropSize);
+        return [Math.max(1, Math.floor(size.x / 2)), Math.max(1, Math.floor(size.y / 2))];
+    }
+
+    /**
+     * Background quad + particle layers at half resolution, refracted by the glass material
+     */
+    renderBackdrop() {
+        if (!this.backdropTarget) {
+            this.backdropTarget = new THREE.WebGLRenderTarget(...this.getBackdropSize());
+        }
+        const renderer = this.renderer;
+        const autoClear = renderer.autoClear;
+        renderer.setRenderTarget(this.backdropTarget);
+        renderer.clear();
+        this.backgroundSystem?.renderBackground(renderer);
+        renderer.autoClear = false;
+        if (this.backgroundSystem) renderer.render(this.backgroundSystem.group, this.camera);
+        renderer.autoClear = autoClear;
+        renderer.setRenderTarget(null);
+
+        const size = renderer.getDrawingBufferSize(this._backdropSize);
+        this.centerMaterials.setBackdrop(this.backdropTarget.texture, size.x, size.y);
     }
 
     // =====================================================
@@ -340,20 +562,49 @@ export class Visualizer {
         const delta = this.clock.getDelta();
         this.time += delta;
 
-        // Smooth audio
+        // Smooth audio (auto-gained levels when the analyzer provides them)
+        const levels = audioData.normalized || audioData;
         const s = 0.12;
-        this.smoothedAudio.amplitude += (audioData.amplitude - this.smoothedAudio.amplitude) * s;
-        this.smoothedAudio.bass += (audioData.bass - this.smoothedAudio.bass) * s;
-        this.smoothedAudio.mid += (audioData.mid - this.smoothedAudio.mid) * s;
-        this.smoothedAudio.treble += (audioData.treble - this.smoothedAudio.treble) * s;
+        this.smoothedAudio.amplitude += (levels.amplitude - this.smoothedAudio.amplitude) * s;
+        this.smoothedAudio.bass += (levels.bass - this.smoothedAudio.bass) * s;
+        this.smoothedAudio.mid += (levels.mid - this.smoothedAudio.mid) * s;
+        this.smoothedAudio.treble += (levels.treble - this.smoothedAudio.treble) * s;
 
         const { amplitude, bass, mid, treble } = this.smoothedAudio;
 
+        // Stereo image (slower smoothing so the scene drifts rather than jitters)
+        const stereo = audioData.stereo;
+        this.smoothedStereo.balance += ((stereo ? stereo.balance : 0) - this.smoothedStereo.balance) * 0.05;
+        this.smoothedStereo.width += ((stereo ? stereo.width : 0) - this.smoothedStereo.width) * 0.05;
+
+        // Drum envelopes already decay in the analyzer
+        this.drums.kick = audioData.kick || 0;
+        this.drums.snare = audioData.snare || 0;
+        this.drums.hat = audioData.hat || 0;
+
+        // Decay beat pulses
+        this.beatPulse = Math.max(0, this.beatPulse - delta * 4);
+        this.barPulse = Math.max(0, this.barPulse - delta * 2);
+        this.lyricPulse = Math.max(0, this.lyricPulse - delta * 1.5);
+
+        // Wind up before a known drop, release quickly once it lands
+        const track = audioData.track;
+        const anticipationTarget = track && track.available && track.nextSection === 'drop' && track.timeToNext < DROP_LEAD
+            ? 1 - track.timeToNext / DROP_LEAD
+            : 0;
+        const rate = anticipationTarget > this.anticipation ? 0.05 : 0.15;
+        this.anticipation += (anticipationTarget - this.anticipation) * rate;
+
+        if (this.settings.colorMode === 'harmony') this.updateHarmonyColors(audioData);
+
         // Update center geometry
-        this.updateCenter(amplitude, bass, mid, delta);
-        this.updateRings(amplitude, bass, mid, treble, delta);
+        const { displacement, displacementAmount } = this.settings;
+        this.displacement.update(audioData.frequencies, delta, displacement ? displacementAmount : 0);
+        this.updateCenter(amplitude, bass, mid, treble, delta);
+        this.updateRings(amplitude, bass, mid, treble, delta, audioData.frequencies);
         this.updateSurround(amplitude, bass, mid, delta);
         this.updateCamera();
+        this.updateLyricSprite(delta);
 
         // Update background system
         if (this.backgroundSystem) {
@@ -368,26 +619,44 @@ export class Visualizer {
             this.backgroundSystem.renderBackground(this.renderer);
         }
         
+        if (this.centerMaterials.needsBackdrop) this.renderBackdrop();
+        
         // Render main scene with bloom
-        this.bloomPass.strength = (0.5 + amplitude * 0.8) * this.settings.bloom;
+        this.bloomPass.strength = (0.5 + amplitude * 0.8 + this.anticipation * 0.6 + this.lyricPulse * 0.4) * this.settings.bloom;
         this.composer.render();
     }
 
-    updateCenter(amplitude, bass, mid, delta) {
+    updateCenter(amplitude, bass, mid, treble, delta) {
         if (!this.centerSolid) return;
-        const scale = 1 + bass * 0.5;
-        this.centerGroup.scale.lerp(new THREE.Vector3(scale, scale, scale), 0.1);
-        this.centerGroup.rotation.x += delta * (0.15 + mid * 0.4);
-        this.centerGroup.rotation.y += delta * (0.25 + mid * 0.5);
+        const scale = 1 + bass * 0.5 + this.beatPulse * 0.15 + this.drums.kick * 0.25 + this.lyricPulse * 0.1;
+        this.centerGroup.scale.lerp(this._scaleTarget.setScalar(scale), 0.1);
+        const spin = 1 + this.anticipation * 2;
+        this.centerGroup.rotation.x += delta * (0.15 + mid * 0.4) * spin;
+        this.centerGroup.rotation.y += delta * (0.25 + mid * 0.5) * spin;
 
-        const hsl = {};
+        const hsl = this._hsl;
         this.colors.primary.getHSL(hsl);
-        this.centerWire.material.color.setHSL(hsl.h, hsl.s, 0.4 + amplitude * 0.5);
+        this.centerWire?.material.color.setHSL(hsl.h, hsl.s, 0.4 + amplitude * 0.5);
+        this.centerMaterials.update(delta, amplitude);
+        this.fractals.update(this.centerSolid, delta, { amplitude, bass, mid });
+        if (this.settings.geometry === 'supershape') {
+            this.supershape.update([this.centerSolid, this.centerWire, this.centerGlow], { bass, mid, treble });
+        }
+        this.shapeTransition.update(delta);
     }
 
-    updateRings(amplitude, bass, mid, treble, delta) {
+    updateRings(amplitude, bass, mid, treble, delta, frequencies) {
         const count = this.ringsGroup.children.length;
         
+        // Wide mixes stretch the ring system sideways
+        this.ringsGroup.scale.set(1 + this.smoothedStereo.width * 0.4, 1, 1);
+
+        if (this.spectrumRing) {
+            const { spectrumMirror, spectrumPeaks, spectrumGradient } = this.settings;
+            this.spectrumRing.update(frequencies, delta, { mirror: spectrumMirror, peaks: spectrumPeaks, gradient: spectrumGradient });
+            return;
+        }
+        
         this.ringsGroup.children.forEach((ring, i) => {
             const d = ring.userData;
             const style = d.type;
@@ -398,7 +667,7 @@ export class Visualizer {
             
             // Rotation — speed reacts to amplitude, direction alternates
             const dir = i % 2 === 0 ? 1 : -1;
-            ring.rotation.z += delta * (d.speed || 0.3) * (1 + amplitude * 2) * dir;
+            ring.rotation.z += delta * (d.speed || 0.3) * (1 + amplitude * 2 + this.anticipation * 3) * dir;
             ring.rotation.x += delta * 0.05 * (1 + mid) * dir;
             
             // Scale pulse — each ring pulses to its band
@@ -407,7 +676,7 @@ export class Visualizer {
             
             // Opacity pulse
             const baseOpacity = 0.6 - i * 0.08;
-            ring.material.opacity = baseOpacity + amplitude * 0.3;
+            ring.material.opacity = baseOpacity + amplitude * 0.3 + this.barPulse * 0.3 + this.drums.snare * 0.35;
             
             // Style-specific audio reactions
             switch (style) {
@@ -435,18 +704,28 @@ export class Visualizer {
                     break;
             }
             
+            if (this.settings.colorMode === 'harmony') {
+                // Ease toward the harmony palette, brightened by the band
+                const target = this.getGradientColor(t, this._gradient).offsetHSL(0, 0, bandValue * 0.15 + this.drums.snare * 0.1);
+                ring.material.color.lerp(target, 0.1);
+                return;
+            }
+            
             // Color shift — hue shifts slightly with audio
-            const hsl = {};
+            const hsl = this._hsl;
             ring.material.color.getHSL(hsl);
             ring.material.color.setHSL(
                 (hsl.h + amplitude * 0.02 + delta * 0.01) % 1,
                 hsl.s,
-                Math.min(1, hsl.l + bandValue * 0.15)
+                Math.min(1, hsl.l + bandValue * 0.15 + this.drums.snare * 0.1)
             );
         });
     }
 
     updateSurround(amplitude, bass, mid, delta) {
+        // Lean toward the louder channel
+        this.surroundGroup.position.x = this.smoothedStereo.balance * 6;
+
         this.surroundGroup.children.forEach((child, i) => {
             const d = child.userData;
             
@@ -457,41 +736,168 @@ export class Visualizer {
             // Floating Y with bass bounce
             child.position.y = d.baseY + Math.sin(this.time + d.angle) * 0.5 + bass * 0.8;
             
-            // Scale pulse
+            // Scale pulse, plus a hi-hat sparkle on a random subset
             const pulseScale = 1 + amplitude * 0.4;
-            child.scale.setScalar(child.scale.x + (pulseScale - child.scale.x) * 0.1);
+            d.pulse = (d.pulse || 1) + (pulseScale - (d.pulse || 1)) * 0.1;
+            const sparkle = d.sparkle > 0.6 ? this.drums.hat * d.sparkle * 0.8 : 0;
+            child.scale.setScalar(d.pulse * (1 + sparkle));
             
             // Orbit radius breathe
             const breatheRadius = d.radius * (1 + Math.sin(this.time * 0.5) * amplitude * 0.3);
             child.position.x = Math.cos(d.angle + this.time * 0.1) * breatheRadius;
             child.position.z = Math.sin(d.angle + this.time * 0.1) * breatheRadius;
             
+            // Harmony palette for the tinted element types
+            if (this.settings.colorMode === 'harmony' && d.colorT !== undefined) {
+                const target = this.getGradientColor(d.colorT, this._gradient);
+                child.material.color.lerp(target, 0.05);
+                child.material.emissive?.lerp(target, 0.05);
+            }
+            
             // Opacity pulse for transparent materials
             if (child.material.transparent) {
-                child.material.opacity = Math.min(1, (child.material.userData?.baseOpacity || 0.7) + amplitude * 0.3);
+                child.material.opacity = Math.min(1, (child.material.userData?.baseOpacity || 0.7) + amplitude * 0.3 + this.drums.hat * d.sparkle * 0.3);
             }
         });
     }
 
     updateCamera() {
-        this.camera.position.x = Math.sin(this.time * 0.05) * 5;
+        this.camera.position.x = Math.sin(this.time * 0.05) * 5 + this.smoothedStereo.balance * 4;
         this.camera.position.y = Math.cos(this.time * 0.07) * 3;
+        // Pull in while a drop approaches
+        this.camera.position.z = 30 - this.anticipation * 8;
         this.camera.lookAt(0, 0, 0);
     }
 
+    // =====================================================
+    // BEAT EVENTS
+    // =====================================================
+
+    onBeat(beat) {
+        this.beatPulse = 1;
+        this.shapeTransition.onBeat();
+        this.backgroundSystem?.onBeat(beat);
+    }
+
+    onBar(bar) {
+        this.barPulse = 1;
+        this.backgroundSystem?.onBar(bar);
+    }
+
     // =====================================================
     // PUBLIC API — Core geometry
     // =====================================================
 
-    setGeometry(type) { this.settings.geometry = type; this.createCenterGeometry(); }
-    setDetail(level) { this.settings.detail = level; this.createCenterGeometry(); }
+    setGeometry(type) { this.settings.geometry = type; this.transitionCenter(); }
+    setDetail(level) { this.settings.detail = level; this.transitionCenter(); }
+
+    /**
+     * Import a glTF/GLB, OBJ or STL file as a center shape; resolves to
+     * { id, name } for setGeometry(). Models are sized like the built-ins.
+     */
+    loadModel(file) { return this.models.load(file, this.baseScale * 1.1); }
+    setMaterialMode(mode) { this.settings.materialMode = mode; this.transitionCenter(); }
+    setSupershapeParam(key, value) { this.supershape.setParam(key, value); }
+    setTransition(mode) { this.shapeTransition.settings.mode = mode; }
+    setTransitionDuration(seconds) { this.shapeTransition.settings.duration = seconds; }
+    setTransitionBeatAligned(enabled) { this.shapeTransition.settings.beatAligned = enabled; }
+    setMaterialParam(key, value) { this.centerMaterials.setParam(this.settings.materialMode, key, value); }
+    setDisplacement(enabled) { this.settings.displacement = enabled; }
+    setDisplacementAmount(val) { this.settings.displacementAmount = val; }
     setRingsStyle(style) { this.settings.ringsStyle = style; this.createRings(); }
     setRingsCount(count) { this.settings.ringsCount = count; this.createRings(); }
+    setSpectrumBars(count) {
+        this.settings.spectrumBars = count;
+        if (this.settings.ringsStyle === 'spectrum') this.createRings();
+    }
+    setSpectrumMirror(enabled) { this.settings.spectrumMirror = enabled; }
+    setSpectrumPeaks(enabled) { this.settings.spectrumPeaks = enabled; }
+    setSpectrumGradient(mode) { this.settings.spectrumGradient = mode; }
     setSurroundType(type) { this.settings.surroundType = type; this.createSurroundElements(); }
     setSurroundCount(count) { this.settings.surroundCount = count; this.createSurroundElements(); }
     setBloom(val) { this.settings.bloom = val; }
     setFog(val) { this.settings.fog = val; this.updateFog(); }
 
+    /**
+     * Harmony mode takes over the palette colors; the palette in effect
+     * when it starts (or set meanwhile) comes back when it ends
+     */
+    setColorMode(mode) {
+        if (mode === this.settings.colorMode) return;
+        if (mode === 'harmony') this.savedPalette = this.getPaletteHex();
+        this.settings.colorMode = mode;
+        if (mode !== 'harmony' && this.savedPalette) {
+            this.applyPalette(this.savedPalette);
+            this.savedPalette = null;
+        }
+    }
+
+    // =====================================================
+    // PUBLIC API — Lyrics
+    // =====================================================
+
+    /**
+     * Current lyric line for the 3D text ('' clears it)
+     */
+    showLyric(text) {
+        if (text === this.lyricText) return;
+        this.lyricText = text;
+        this.lyricFade = 0;
+        if (this.settings.lyrics3D) this.drawLyricText();
+    }
+
+    /**
+     * Small accent when a new lyric line starts
+     */
+    onLyricLine() {
+        this.lyricPulse = 1;
+    }
+
+    setLyrics3D(enabled) {
+        this.settings.lyrics3D = enabled;
+        this.lyricSprite.visible = enabled;
+        if (enabled) this.drawLyricText();
+    }
+
+    /**
+     * Apply a 3-color palette (0xRRGGBB numbers, null = defaults) to the
+     * scene and background, recoloring existing elements in place
+     */
+    setPalette(colors) {
+        const palette = colors?.length ? colors : DEFAULT_COLORS;
+        this.backgroundSystem?.setPaletteOverride(colors?.length ? colors : null);
+        // Harmony mode owns the live colors; keep this one for when it ends
+        if (this.settings.colorMode === 'harmony') {
+            this.savedPalette = [...palette];
+            return;
+        }
+        this.applyPalette(palette);
+    }
+
+    /**
+     * Set the palette colors and recolor existing elements in place
+     */
+    applyPalette(palette) {
+        this.colors.primary.set(palette[0]);
+        this.colors.secondary.set(palette[1] ?? palette[0]);
+        this.colors.tertiary.set(palette[2] ?? palette[1] ?? palette[0]);
+
+        this.centerGlow?.material.color.copy(this.colors.secondary);
+        const ringsCount = this.ringsGroup?.children.length || 0;
+        // The spectrum ring recolors itself every frame
+        this.ringsGroup?.children.forEach((ring, i) => ring.material && this.getGradientColor(i / ringsCount, ring.material.color));
+        this.surroundGroup?.children.forEach(child => {
+            const t = child.userData.colorT;
+            if (t === undefined) return;
+            this.getGradientColor(t, child.material.color);
+            if (child.material.emissive) this.getGradientColor(t, child.material.emissive);
+        });
+    }
+
+    getPaletteHex() {
+        return [this.colors.primary.getHex(), this.colors.secondary.getHex(), this.colors.tertiary.getHex()];
+    }
+
     // =====================================================
     // PUBLIC API — Background system passthrough
     // =====================================================
@@ -540,8 +946,8 @@ export class Visualizer {
     // =====================================================
 
     randomize() {
-        const geoms = ['icosahedron', 'octahedron', 'dodecahedron', 'torusKnot', 'kleinBottle', 'geodesic'];
-        const rings = ['orbital', 'saturn', 'gyroscope', 'atomic', 'spiral'];
+        const geoms = ['icosahedron', 'octahedron', 'dodecahedron', 'torusKnot', 'kleinBottle', 'geodesic', 'smallStellatedDodeca', 'supershape', 'mandelbulb'];
+        const rings = ['orbital', 'saturn', 'gyroscope', 'atomic', 'spiral', 'spectrum'];
         const surrounds = ['floatingPolyhedra', 'particles', 'asteroids', 'crystals'];
         const presets = ['void', 'nebula', 'dust', 'drift', 'prism'];
 
@@ -558,6 +964,7 @@ export class Visualizer {
         this.colors.primary.setHSL(h1, 0.8, 0.6);
         this.colors.secondary.setHSL(h2, 0.9, 0.55);
         this.colors.tertiary.setHSL(h3, 0.7, 0.5);
+        if (this.settings.colorMode === 'harmony') this.savedPalette = this.getPaletteHex();
 
         Object.assign(this.settings, {
             geometry: r.geometry,
@@ -566,7 +973,7 @@ export class Visualizer {
             surroundType: r.surround
         });
 
-        this.createCenterGeometry();
+        this.transitionCenter();
         this.createRings();
         this.createSurroundElements();
         
@@ -581,19 +988,27 @@ export class Visualizer {
     renderIdle() {
         const delta = this.clock.getDelta();
         this.time += delta;
-        this.update({
-            amplitude: 0.05 + Math.sin(this.time * 0.5) * 0.03,
-            bass: 0.04 + Math.sin(this.time * 0.3) * 0.02,
-            mid: 0.03 + Math.sin(this.time * 0.4) * 0.02,
-            treble: 0.02 + Math.sin(this.time * 0.6) * 0.01,
-            frequencies: new Array(64).fill(0).map((_, i) => 0.03 + Math.sin(this.time + i * 0.05) * 0.02)
-        });
+        const idle = this.idleAudio;
+        idle.amplitude = 0.05 + Math.sin(this.time * 0.5) * 0.03;
+        idle.bass = 0.04 + Math.sin(this.time * 0.3) * 0.02;
+        idle.mid = 0.03 + Math.sin(this.time * 0.4) * 0.02;
+        idle.treble = 0.02 + Math.sin(this.time * 0.6) * 0.01;
+        for (let i = 0; i < idle.frequencies.length; i++) {
+            idle.frequencies[i] = 0.03 + Math.sin(this.time + i * 0.05) * 0.02;
+        }
+        this.update(idle);
     }
 
     destroy() {
         window.removeEventListener('resize', () => this.onResize());
+        this.shapeTransition.finish();
+        this.spectrumRing?.dispose();
         [this.centerGroup, this.ringsGroup, this.surroundGroup].forEach(g => this.clearGroup(g));
         if (this.backgroundSystem) this.backgroundSystem.dispose();
+        this.displacement.dispose();
+        this.centerMaterials.dispose();
+        this.models.dispose();
+        this.backdropTarget?.dispose();
         if (this.renderer) { this.renderer.dispose(); this.container.removeChild(this.renderer.domElement); }
     }
 }